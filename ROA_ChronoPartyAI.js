@@ -10,35 +10,275 @@
  * - Adds AI-controlled party members for Chrono Engine ABS (Moghunter).
  * - Roles: RANGED, MELEE, TANK, HEALER (heals/buffs at range, defends in melee).
  *
- * WHAT YOU MUST WIRE (TODO)
- * - ChronoCompat.tryUseTool(...) must call Chrono's real tool execution path
- *   (commonly Game_Player.prototype.act() or a related method).
- * - If your Chrono build represents actor battlers as something other than followers,
- *   you may need to bind actorId -> map character differently in ChronoCompat.
+ * TOOL PIPELINE
+ * - AI followers act through Chrono's own Game_CharacterBase.act(): tools are
+ *   queued into $gameSystem._eventDataTool exactly like the leader's, so cast
+ *   time (item speed), auto-target tools, cost payment (ToolEvent.toolUsable)
+ *   and multi-shot tools (spcShoot) all behave the same.
+ * - Followers skip the leader-only "$gameSystem._toolsOnMap" lock and pick
+ *   their auto-target from the AI instead of the on-screen cursor.
+ *
+ * PARTY BODIES (PartyBodyMode)
+ * - followers: AI actors are the regular Game_Followers, driven by the AI
+ *   instead of chasing the leader.
+ * - custom: every AI actor (not the leader) gets its own map character, a
+ *   Game_PartyBody event injected into $gameMap like Chrono's tool events.
+ *   Bodies collide like events, take knockback and have their own sprite;
+ *   non-AI members keep following as regular followers. Bodies are spawned
+ *   next to the leader and re-spawned on party changes and map transfers.
+ * - Hit reactions: Chrono knocks back only the leader among actors in ABS
+ *   mode. Custom bodies, and AI followers when AiKnockback is on, are knocked
+ *   back by the same rules, with the "_damage" pose (MOG_CharPoses) and the
+ *   leader's invulnerability frames. A knocked back member thinks again once
+ *   it recovers.
  *
  * NOTETAGS (Actors)
  * <ChronoAI: true>
  * <ChronoAI Role: RANGED|MELEE|TANK|HEALER>
- * <ChronoAI Stance: Aggressive|Defensive|Hold>        (optional)
+ * <ChronoAI Stance: Aggressive|Defensive|Hold|Assist> (optional)
  * <ChronoAI Aggro: 6>                                 (optional tiles)
  * <ChronoAI Leash: 10>                                (optional tiles)
  * <ChronoAI PreferredRange: 4>                        (optional tiles)
  * <ChronoAI KeepDistance: 4>                          (optional tiles, ranged/healer)
  * <ChronoAI ProtectRadius: 5>                         (optional tiles, tank)
+ * <ChronoAI Dodge: 50>                                (optional %, see DODGE)
  *
  * TOOL IDs (these are Chrono "Tool Id" references, not skill ids)
  * <ChronoAI ToolAttack: 5>
  * <ChronoAI ToolDefend: 9>                            (optional, melee/healer defense)
  * <ChronoAI ToolHeal: 12>                             (healer)
  * <ChronoAI ToolBuff: 13>                             (healer)
+ * <ChronoAI ToolFallback: 3>                          (optional, attack when ToolAttack can't be paid)
+ * <ChronoAI ToolRevive: 14>                           (healer, skill/item scope 9/10)
+ * - What a tool does (range, area, costs, skill/item, cast speed, scope...) is
+ *   read from its Tool map event comments and cached:
+ *   ROA.ChronoPartyAI.ChronoCompat.toolInfo(5)
+ *
+ * ITEMS (all AI members)
+ * <ChronoAI UseItems: false>                          (optional, never use items)
+ * - When the member or an ally is at or below ItemHpThreshold /
+ *   ItemMpThreshold (self first, HP before MP), the member uses the ABS-mode
+ *   item (the ones Chrono's tool list offers: "Tool Id" + "Abs Mode" notes)
+ *   whose recovery best fits what is missing, walking within PreferredRange
+ *   of an ally first. Items with scope User are only used on oneself.
+ * - Party budget (ItemBudget parameter, saved with the game): Keep = never
+ *   use the last N copies, PerFight = max uses per fight by the whole AI
+ *   party. Items without a rule keep ItemKeepDefault copies.
+ * - Script call: ROA.ChronoPartyAI.ItemBudget.set(ITEM_ID, KEEP, PER_FIGHT)
+ *
+ * REVIVE (HEALER)
+ * - Fallen allies are raised with ToolRevive; without it (or the cost) the
+ *   healer uses a revive item (scope 1 Ally (Dead) / All Allies (Dead)) from
+ *   the party inventory: through its "Tool Id" tool when it has one,
+ *   otherwise by hand next to the body. The healer walks up on a tile away
+ *   from enemies. A fallen leader or TANK is raised before top-up heals,
+ *   anyone else after them; critical heals still come first.
+ *
+ * RESOURCES (optional, % of max MP / TP)
+ * <ChronoAI ReserveMP: 30>
+ * <ChronoAI ReserveTP: 0>
+ * - Tools are only chosen when their MP, TP, item (tool_item_cost) and CT
+ *   costs can be paid, as Chrono checks them. Reserves keep that share of MP/TP
+ *   unspent, except for heals on allies at HealerCriticalThreshold or below.
+ * - Without an affordable attack the member uses ToolFallback, otherwise it
+ *   backs off toward the leader. Healers without mana skip heals and buffs.
+ *
+ * FORMATIONS (all AI members)
+ * - Outside combat every AI member walks to its slot of the current formation
+ *   (DefaultFormation, or chrono_ai_formation), placed relative to where the
+ *   leader faces: column, wedge, line, box, circle. Tanks take the front
+ *   slots, then MELEE, RANGED and HEALER at the back; members beyond the
+ *   formation's slots simply follow the leader.
+ * - In combat the slots become anchors (turned to the leader's facing when the
+ *   fight started). AGGRESSIVE members engage enemies within Aggro of their
+ *   anchor, DEFENSIVE ones only within 3 tiles of it; with nothing to engage,
+ *   members and idle healers return to the anchor.
+ * - Script call: ROA.ChronoPartyAI.Formations.set("wedge")
+ *
+ * SUPPORT EFFECTS (skill ids, optional)
+ * <ChronoAI HealSkillId: 25>                          (healer, overrides the heal tool's skill)
+ * <ChronoAI BuffSkillId: 30>                          (healer, overrides the buff tool's skill)
+ * - By default the effect is the tool event's tool_skill_id / tool_item_id.
+ *   It lands exactly once on the chosen ally: when the tool hits that ally,
+ *   or when the tool ends if it never touched them. Other allies caught in
+ *   the tool's area are handled by Chrono as usual.
+ *
+ * GAMBITS (Actors, optional, first matching rule wins each think tick)
+ * <ChronoAI Gambits>
+ * Ally HP < 40% -> ToolHeal -> Ally
+ * Enemy Casting -> ToolAttack -> Enemy
+ * Self HP <= 25% -> Retreat -> Enemy
+ * Enemy Distance <= 2 -> Tool 15
+ * </ChronoAI Gambits>
+ * - One rule per line: Condition -> Action [-> Target]. No rule matching falls
+ *   back to the role behaviour below.
+ * - Condition: Always | <Subject> <Stat> <op> <value>[%] | <Subject> Casting
+ *              | <Subject> State <id> | <Subject> NotState <id>
+ *              | Enemy Type <type>      (see ENEMY TYPE)
+ *   Subject: Self, Leader, Ally (any party member), Enemy (within Aggro).
+ *   Stat: HP, MP, TP, Distance (tiles from this actor), Count (matching units).
+ *   op: <, <=, =, !=, >=, >. HP/MP with % compare the rate, without % the value.
+ * - Action: ToolAttack | ToolDefend | ToolHeal | ToolBuff | ToolFallback
+ *           | ToolRevive | Tool <id> | Retreat | Follow
+ * - Target: Self | Leader | Ally | Enemy. Defaults to the unit the condition
+ *   matched; a different side picks the lowest-HP ally / nearest enemy.
+ *   Retreat on Self runs from the nearest enemy (no enemy = rule skipped).
+ *
+ * PARTY TACTICS SCENE
+ * - Main menu command (TacticsCommandName) or map key (TacticsMapKeyCode).
+ *   Lists AI-enabled party members; role, stance, aggro and leash change with
+ *   left/right, tool slots pick from the actor's ABS-mode skills (as in
+ *   Chrono's skill window), gambits are built from preset conditions/actions
+ *   (PageUp/PageDown reorders). Changes are saved as overrides (see below)
+ *   and reach the live controllers at once.
+ * - Script call: SceneManager.push(ROA.ChronoPartyAI.Scene_PartyTactics)
+ *
+ * PLUGIN COMMANDS (ACTOR_ID can be ALL = every actor)
+ * chrono_ai_role : ACTOR_ID : RANGED|MELEE|TANK|HEALER
+ * chrono_ai_stance : ACTOR_ID : AGGRESSIVE|DEFENSIVE|HOLD|ASSIST
+ * chrono_ai_enable : ACTOR_ID : true|false
+ * chrono_ai_tool : ACTOR_ID : ATTACK|DEFEND|HEAL|BUFF|FALLBACK|REVIVE : TOOL_ID   (0 = none)
+ * chrono_ai_gambit_add : ACTOR_ID : Ally HP < 40% -> ToolHeal -> Ally
+ * chrono_ai_gambit_clear : ACTOR_ID                    (empty list, no notetag rules)
+ * chrono_ai_reset : ACTOR_ID                           (back to notetags)
+ * chrono_ai_item_budget : ITEM_ID : KEEP : PER_FIGHT     (0 = no per-fight limit)
+ * chrono_ai_formation : COLUMN|WEDGE|LINE|BOX|CIRCLE
+ * - Overrides layer on top of the actor notetags; the database is untouched.
+ *   The latest command wins, so "ALL" followed by one actor's command gives
+ *   that actor its own value. Gambits added by command replace the notetag
+ *   list and run in the order they were added.
+ * - Overrides are kept in $gameSystem, so they are saved with the game and
+ *   survive map transfers. Saves made before this plugin version load with
+ *   no overrides.
+ * - Script calls: ROA.ChronoPartyAI.Overrides.set(3, "role", "HEALER")
+ *                 ROA.ChronoPartyAI.Overrides.set("ALL", "stance", "HOLD")
+ *                 ROA.ChronoPartyAI.Overrides.set(3, "gambits", ["Always -> ToolAttack -> Enemy"])
+ *                 ROA.ChronoPartyAI.Overrides.reset(3)
  *
  * ENEMY TYPE (Enemies in database)
- * <ChronoAI EnemyType: RANGED|MELEE>
+ * <ChronoAI EnemyType: MELEE|RANGED|CASTER|HEALER|BOSS|SWARM|ELITE>
+ * <ChronoAI Priority: 5>                              (optional, +/- tiles of pick preference)
+ * <ChronoAI Avoid>                                    (optional, never engaged by the AI)
+ * - Without EnemyType the type is inferred from the tools the enemy event fires
+ *   with this.act(X) (script commands and move route scripts): healing tools
+ *   make a HEALER, magic or cast-time attacks a CASTER, projectiles, auto
+ *   target tools and long line/front areas (3+ tiles) RANGED, anything else
+ *   MELEE. BOSS, SWARM and ELITE are tag-only; their reach still comes from
+ *   the tools.
+ * - Per-role type bonus (tiles, see TARGET SCORING): RANGED favours
+ *   CASTER/HEALER/RANGED, MELEE favours HEALER/CASTER/SWARM, TANK favours
+ *   BOSS/ELITE. Priority adds on top (negative = later). RANGED members kite
+ *   enemies without ranged attacks. Gambit enemy picks and the Chrono mode
+ *   "smart" profile use Priority and Avoid as well.
+ *
+ * DODGE (all AI members)
+ * - Enemy tool events on the map are read every frame: direction, tool_area,
+ *   tool_range, projectile speed, the remaining tool_wait_collision and
+ *   duration give the tiles they will hit within DodgeLookahead frames. A
+ *   member standing on such a tile steps to the nearest safe tile (up to 3
+ *   steps) when it can get there before the hit lands, then resumes its role.
+ *   Casting / acting / immobile members stay put.
+ * - Dodge (DefaultDodge) is the chance to notice each incoming tool; it is
+ *   rolled once per tool, so 100 always dodges and 0 never does.
+ *
+ * GUARD (TANK / MELEE, ABS mode)
+ * - Members with a shield equipped (Chrono's "Shield Pose Suffix" or a shield
+ *   "Tool Id" note) raise it instead of dodging: 20 frames before a noticed
+ *   enemy tool lands on them they turn to block it (as Chrono's guard
+ *   direction check wants) and hold the guard while hits keep coming. Tools
+ *   with tool_shield_reflect are sent back by Chrono on the block; tools that
+ *   ignore guard are dodged. The guard drops as soon as nothing guardable is
+ *   incoming, and the role script strikes back. Noticing uses the Dodge roll.
+ *
+ * ASSIST (Stance)
+ * - The leader's target is the enemy the leader's tools last damaged or the
+ *   one Chrono's target cursor is on while the leader aims; it is forgotten
+ *   after 10 seconds without either, or when it falls.
+ *   ROA.ChronoPartyAI.Manager.get().bb.leaderTarget
+ * - MELEE and RANGED members with Stance Assist focus fire on it, wherever it
+ *   is (Leash still applies); without one they fight as Aggressive. TANK and
+ *   HEALER members with Assist act as Aggressive.
+ *
+ * TARGET SCORING (Actors, optional)
+ * <ChronoAI TargetWeights>
+ * hp: 5
+ * casting: 0
+ * </ChronoAI TargetWeights>
+ * - Every enemy pick (role targets, tank peels, gambit enemies) adds up
+ *   weight x value per consideration; one point is worth one tile:
+ *   distance (-tiles), hp (1 - HP rate), type (role bonus above), priority,
+ *   threat (1 if its top threat is another member), casting (1 while it
+ *   casts), knockback (1 while knocked back), sticky (1 for the current
+ *   target, so picks don't flip-flop), leader (1 for the leader's target,
+ *   see ASSIST; weight 0 unless set).
+ * - Role defaults        dist hp type prio threat cast knock sticky
+ *   RANGED                1    2   1    1     2     4     1     2
+ *   MELEE                 1    3   1    1     2     3    -2     2
+ *   TANK                  1    0   1    1     4     2    -2     3
+ *   HEALER                1    1   1    1     3     2     0     2
+ *   The notetag replaces only the weights it lists.
+ * - Plug-in: ROA.ChronoPartyAI.TargetScorer.considerations.myKey = (ctrl, enemy, role) => value
+ *            ROA.ChronoPartyAI.TargetScorer.roleWeights.MELEE.myKey = 2
+ *
+ * THREAT (Skills/Items used by tools, Actors)
+ * <ChronoAI Taunt: 500>                               (skill/item: fixed threat on hit)
+ * <ChronoAI ThreatRate: 150>                          (actor: % of damage/healing as threat)
+ * - Every enemy event keeps a threat table fed by damage and healing from the
+ *   party. Enemy events chase and face their top-threat member (see the
+ *   EnemyThreatTargeting parameter); TANK controllers pull back enemies whose
+ *   top threat is someone else. Tables decay over time and reset when the
+ *   enemy leaves combat.
+ * - Script calls: ROA.ChronoPartyAI.Threat.table(this.character(0))
+ *                 ROA.ChronoPartyAI.Threat.topTarget(this.character(0))
+ *
+ * MOVEMENT
+ * - All AI movement (follow, recover, pursuit, healer repositioning) uses an
+ *   A* path over map passability. Events block everywhere; battlers (party and
+ *   enemies) only block within 2 tiles of the mover, since they will have moved
+ *   by the time it gets further. Paths are cached per character and re-planned
+ *   when the next step is blocked, the goal moves, or PathRepathFrames passes.
+ *
+ * LINE OF SIGHT
+ * <ChronoAI BlocksSight>                              (map event note: blocks sight)
+ * - A line between two characters is blocked by wall tiles (impassable in
+ *   every direction), tiles in a SightBlockRegions region, and events tagged
+ *   BlocksSight. RANGED and HEALER members (and ranged gambit actions) move to
+ *   a tile with a clear line before firing.
+ * - Enemy events (move route script / conditional branch):
+ *     this.chronoAiCanSee()                 (the leader)
+ *     this.chronoAiCanSee(character)        (any character)
+ *   ROA.ChronoPartyAI.ChronoCompat.hasLineOfSight(charA, charB)
+ *
+ * TOOL REACH
+ * - Attack tools fire only when the target would be hit: the tool's
+ *   tool_area and tool_range are checked from the user's tile as Chrono does,
+ *   facing the target (line, front and wall areas follow that facing) and
+ *   counting the enemy's Body Size. Otherwise the member closes in.
+ * - Auto-target / target-position tools always reach. Projectiles count as a
+ *   line of PreferredRange tiles, tool_range wide.
+ * - Line, cross and projectile tools: the member moves onto the target's row
+ *   or column (within range, clear sight), faces it and fires. Moving targets
+ *   are led by one tile along their facing.
+ *
+ * CHRONO MODE (turn-based ATB)
+ * - The leader and actors without AI are commanded by the player as usual.
+ *   AI actors pick their own command as soon as their ATB is full: a matching
+ *   tool gambit (Retreat/Follow rules are skipped), a heal/buff (HEALER
+ *   thresholds), their ToolAttack skill/item, or the weapon Attack; DEFENSIVE
+ *   members at critical HP guard. The command is confirmed through Chrono's
+ *   own selectAction()/makeTargets() path, with the target the role would
+ *   pick. Map steering pauses during Chrono battles.
+ * - Targets (ChronoTargetProfile / ChronoEnemyTargetProfile): "smart" scores
+ *   every candidate on HP %, the skill's element rate, states it would add
+ *   (already there / resisted) or remove, threat, enemy Priority, and
+ *   whether the target's ATB is about to fill. "legacy" keeps Chrono's
+ *   random picks.
+ *   ROA.ChronoPartyAI.ChronoTargeting.score(userBattler, item, targetChar)
  *
  * NOTES
  * - This plugin parses enemy_id from event comments if present (Chrono style).
- * - Support skills (heal/buff) are applied via Game_Action by default (stable),
- *   while still triggering Chrono visuals via tool usage (optional).
+ * - Support skills (heal/buff) are applied via Game_Action on the chosen ally,
+ *   with Chrono's damage popup and the skill/item animation.
  *
  * ============================================================================
  * @param Enabled
@@ -80,6 +320,19 @@
  * @type number
  * @default 5
  *
+ * @param DefaultDodge
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 50
+ * @desc Chance (%) that an AI member notices an incoming enemy tool and steps out of it (0 = never).
+ *
+ * @param DodgeLookahead
+ * @type number
+ * @min 1
+ * @default 45
+ * @desc Frames ahead that enemy tool hits are predicted for dodging.
+ *
  * @param HealerHealThreshold
  * @type number
  * @min 1
@@ -100,15 +353,138 @@
  * @default 300
  * @desc "Start of combat" buff window duration in frames (60fps ~ 5s if 300).
  *
+ * @param PathSearchLimit
+ * @type number
+ * @min 50
+ * @default 600
+ * @desc Max tiles the A* search may expand per plan (bigger maps may need more).
+ *
+ * @param PathRepathFrames
+ * @type number
+ * @min 1
+ * @default 45
+ * @desc A cached path older than this (frames) is re-planned even if not blocked.
+ *
+ * @param SightBlockRegions
+ * @type string
+ * @default
+ * @desc Region IDs that block line of sight, comma separated (e.g. 5,6). Walls always block.
+ *
+ * @param ThreatDecayRate
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 5
+ * @desc Percent of every threat entry lost per second.
+ *
+ * @param HealThreatRate
+ * @type number
+ * @min 0
+ * @default 50
+ * @desc Percent of healing done that becomes threat, split across engaged enemies.
+ *
+ * @param ThreatResetRange
+ * @type number
+ * @min 1
+ * @default 12
+ * @desc An enemy with no party member within this many tiles for 3s leaves combat and forgets its threat.
+ *
+ * @param EnemyThreatTargeting
+ * @type boolean
+ * @default true
+ * @desc Enemy events chase/face their top-threat party member instead of always the leader.
+ *
+ * @param TacticsCommandName
+ * @type string
+ * @default Tactics
+ * @desc Main menu command that opens the Party Tactics scene (empty = no menu command).
+ *
+ * @param TacticsMapKeyCode
+ * @type number
+ * @min 0
+ * @default 84
+ * @desc Keyboard key code that opens Party Tactics on the map (84 = T, 0 = disabled).
+ *
  * @param PartyBodyMode
  * @type select
  * @option followers
  * @option custom
  * @default followers
- * @desc followers = drive Game_Follower movement. custom = you bind actor -> char in ChronoCompat.
+ * @desc followers = drive Game_Follower movement. custom = spawn a dedicated map character per AI actor.
+ *
+ * @param AiKnockback
+ * @type boolean
+ * @default false
+ * @desc AI followers take knockback and its damage pose when hit, like the leader (ABS mode). Custom bodies always do.
+ *
+ * @param ChronoTargetProfile
+ * @type select
+ * @option smart
+ * @option legacy
+ * @default smart
+ * @desc Chrono mode target picks of AI actors. smart = scored, legacy = Chrono's random picks.
+ *
+ * @param ChronoEnemyTargetProfile
+ * @type select
+ * @option smart
+ * @option legacy
+ * @default legacy
+ * @desc Chrono mode target picks of enemies (selectTargetAutoCN).
+ *
+ * @param DefaultFormation
+ * @type select
+ * @option column
+ * @option wedge
+ * @option line
+ * @option box
+ * @option circle
+ * @default column
+ * @desc Formation of the AI members until chrono_ai_formation changes it.
+ *
+ * @param ItemHpThreshold
+ * @type number
+ * @min 0
+ * @max 99
+ * @default 30
+ * @desc AI members use an HP item on themselves/allies at or below this HP% (0 = never).
+ *
+ * @param ItemMpThreshold
+ * @type number
+ * @min 0
+ * @max 99
+ * @default 15
+ * @desc AI members use an MP item on themselves/allies at or below this MP% (0 = never).
+ *
+ * @param ItemKeepDefault
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc Copies of every item the AI leaves in the inventory unless ItemBudget says otherwise.
+ *
+ * @param ItemBudget
+ * @type struct<ItemBudget>[]
+ * @default []
+ * @desc Per-item limits for AI item use (party-wide, saved with the game).
  *
  * ============================================================================
  */
+/*~struct~ItemBudget:
+ * @param Item
+ * @type item
+ * @default 1
+ *
+ * @param Keep
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc The AI never uses the last N copies.
+ *
+ * @param PerFight
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc Max uses by the whole AI party per fight (0 = no limit).
+ */
 
 (function() {
   "use strict";
@@ -130,12 +506,41 @@
     defaultPreferredRange: Number(P.DefaultPreferredRange || 4),
     defaultKeepDistance: Number(P.DefaultKeepDistance || 4),
     defaultProtectRadius: Number(P.DefaultProtectRadius || 5),
+    defaultDodge: Number(P.DefaultDodge ?? 50),
+    dodgeLookahead: Number(P.DodgeLookahead || 45),
 
     healerHealThreshold: Number(P.HealerHealThreshold || 70),
     healerCriticalThreshold: Number(P.HealerCriticalThreshold || 35),
     healerBuffWindowFrames: Number(P.HealerBuffWindowFrames || 300),
 
+    pathSearchLimit: Number(P.PathSearchLimit || 600),
+    pathRepathFrames: Number(P.PathRepathFrames || 45),
+
+    sightBlockRegions: String(P.SightBlockRegions || "").split(",").map(Number).filter(n => n > 0),
+
+    threatDecayRate: Number(P.ThreatDecayRate ?? 5),
+    healThreatRate: Number(P.HealThreatRate ?? 50),
+    threatResetRange: Number(P.ThreatResetRange || 12),
+    enemyThreatTargeting: String(P.EnemyThreatTargeting || "true") === "true",
+
+    tacticsCommandName: String(P.TacticsCommandName ?? "Tactics"),
+    tacticsMapKeyCode: Number(P.TacticsMapKeyCode ?? 84),
+
     partyBodyMode: String(P.PartyBodyMode || "followers"),
+    aiKnockback: String(P.AiKnockback || "false") === "true",
+
+    chronoTargetProfile: String(P.ChronoTargetProfile || "smart").toLowerCase(),
+    chronoEnemyTargetProfile: String(P.ChronoEnemyTargetProfile || "legacy").toLowerCase(),
+
+    defaultFormation: String(P.DefaultFormation || "column").toLowerCase(),
+
+    itemHpThreshold: Number(P.ItemHpThreshold ?? 30),
+    itemMpThreshold: Number(P.ItemMpThreshold ?? 15),
+    itemKeepDefault: Number(P.ItemKeepDefault || 0),
+    itemBudget: JSON.parse(P.ItemBudget || "[]").map(str => {
+      const b = JSON.parse(str);
+      return { itemId: Number(b.Item), keep: Number(b.Keep || 0), perFight: Number(b.PerFight || 0) };
+    }),
   };
 
   const log = (...args) => { if (CFG.debug) console.log(`[${PLUGIN_NAME}]`, ...args); };
@@ -163,8 +568,293 @@
     return m ? String(m[1]).toLowerCase() === "true" : null;
   }
 
+  // <ChronoAI Foo> (bare flag)
+  function parseTagFlag(note, tagName) {
+    return new RegExp(`<\\s*ChronoAI\\s+${tagName}\\s*>`, "i").test(note);
+  }
+
+  // <ChronoAI Name> ... </ChronoAI Name> -> trimmed non-empty lines
+  function parseTagBlock(note, tagName) {
+    const re = new RegExp(`<\\s*ChronoAI\\s+${tagName}\\s*>([\\s\\S]*?)<\\s*\\/\\s*ChronoAI\\s+${tagName}\\s*>`, "i");
+    const m = note.match(re);
+    if (!m) return [];
+    return m[1].split(/[\r\n]+/).map(l => l.trim()).filter(l => l.length > 0);
+  }
+
+  // ------------------------------------------------------------
+  // Runtime overrides (plugin commands / script calls over notetags)
+  // ------------------------------------------------------------
+  const OVERRIDE_TOOL_KEYS = {
+    ATTACK: "toolAttack",
+    DEFEND: "toolDefend",
+    HEAL: "toolHeal",
+    BUFF: "toolBuff",
+    FALLBACK: "toolFallback",
+    REVIVE: "toolRevive",
+  };
+
+  const Overrides = {
+    // Saved with the game: { all: { key -> value }, actors: { actorId -> { key -> value } } }
+    store() {
+      if (!$gameSystem._chronoPartyAi) $gameSystem._chronoPartyAi = { all: {}, actors: {} };
+      return $gameSystem._chronoPartyAi;
+    },
+
+    clearAll() {
+      $gameSystem._chronoPartyAi = { all: {}, actors: {} };
+    },
+
+    // Stored gambit lines -> parsed rules. Not saved; a loaded save parses each list once.
+    _rules: new WeakMap(),
+
+    gambitRules(lines) {
+      if (!this._rules.has(lines)) this._rules.set(lines, Gambits.parse(lines));
+      return this._rules.get(lines);
+    },
+
+    // Normalizes and validates one value; undefined = rejected.
+    normalize(key, value) {
+      switch (key) {
+        case "role": {
+          const r = String(value).toUpperCase();
+          return Roles[r] ? r : undefined;
+        }
+        case "stance": {
+          const st = String(value).toUpperCase();
+          return Stances[st] ? st : undefined;
+        }
+        case "enabled":
+          return value === true || String(value).toLowerCase() === "true";
+        case "aggro":
+        case "leash": {
+          const n = Number(value);
+          return n >= 1 ? n : undefined;
+        }
+        case "toolAttack":
+        case "toolDefend":
+        case "toolHeal":
+        case "toolBuff":
+        case "toolFallback":
+        case "toolRevive": {
+          const n = Number(value);
+          return n >= 0 ? n : undefined;
+        }
+        case "gambits": {
+          // Stored as rule text (save friendly), parsed in apply().
+          const lines = Array.isArray(value) ? value : String(value).split(/[\r\n]+/);
+          return lines.map(l => String(l).trim()).filter(l => Gambits.parseRule(l));
+        }
+      }
+      return undefined;
+    },
+
+    // target: actor id or "ALL". Returns false when the value was rejected.
+    set(target, key, value) {
+      const v = this.normalize(key, value);
+      if (v === undefined) {
+        log(`Override rejected: ${target} ${key} = ${value}`);
+        return false;
+      }
+      const store = this.store();
+      if (String(target).toUpperCase() === "ALL") {
+        store.all[key] = v;
+        for (const id of Object.keys(store.actors)) delete store.actors[id][key];
+      } else {
+        const id = Number(target);
+        if (!(id > 0)) return false;
+        store.actors[id] = store.actors[id] || {};
+        store.actors[id][key] = v;
+      }
+      if (key === "gambits") this._rules.set(v, Gambits.parse(v));
+      return true;
+    },
+
+    get(actorId, key) {
+      const store = this.store();
+      const own = store.actors[actorId];
+      if (own && own[key] !== undefined) return own[key];
+      return store.all[key];
+    },
+
+    addGambit(target, line) {
+      if (!Gambits.parseRule(String(line).trim())) {
+        log(`Gambit rejected: "${line}"`);
+        return false;
+      }
+      const current = String(target).toUpperCase() === "ALL" ? this.store().all.gambits : this.get(Number(target), "gambits");
+      return this.set(target, "gambits", (current || []).concat([line]));
+    },
+
+    setTool(target, slot, toolId) {
+      const key = OVERRIDE_TOOL_KEYS[String(slot).toUpperCase()];
+      return key ? this.set(target, key, toolId) : false;
+    },
+
+    reset(target) {
+      if (String(target).toUpperCase() === "ALL") this.clearAll();
+      else delete this.store().actors[Number(target)];
+    },
+
+    apply(actorId, cfg) {
+      if (!$gameSystem) return cfg;
+      const store = this.store();
+      Object.assign(cfg, store.all, store.actors[actorId] || {});
+      const gambits = this.get(actorId, "gambits");
+      if (gambits) cfg.gambits = this.gambitRules(gambits);
+      return cfg;
+    },
+  };
+
+  ROA.ChronoPartyAI.Overrides = Overrides;
+
+  // ------------------------------------------------------------
+  // Item budget (party-wide limits on AI item use)
+  // ------------------------------------------------------------
+  const ItemBudget = {
+    // Saved with the game: { rules: { itemId -> { keep, perFight } }, used: { itemId -> uses this fight } }
+    store() {
+      if (!$gameSystem._chronoPartyAiItems) $gameSystem._chronoPartyAiItems = this.initialData();
+      return $gameSystem._chronoPartyAiItems;
+    },
+
+    initialData() {
+      const rules = {};
+      for (const b of CFG.itemBudget) rules[b.itemId] = { keep: b.keep, perFight: b.perFight };
+      return { rules, used: {} };
+    },
+
+    rule(itemId) {
+      return this.store().rules[itemId] || { keep: CFG.itemKeepDefault, perFight: 0 };
+    },
+
+    set(itemId, keep, perFight) {
+      const id = Number(itemId);
+      if (!$dataItems[id]) return;
+      this.store().rules[id] = { keep: Math.max(Number(keep) || 0, 0), perFight: Math.max(Number(perFight) || 0, 0) };
+    },
+
+    canSpend(item) {
+      const r = this.rule(item.id);
+      if ($gameParty.numItems(item) <= r.keep) return false;
+      return !(r.perFight > 0 && (this.store().used[item.id] || 0) >= r.perFight);
+    },
+
+    spend(item) {
+      const used = this.store().used;
+      used[item.id] = (used[item.id] || 0) + 1;
+    },
+
+    startFight() {
+      this.store().used = {};
+    },
+  };
+
+  ROA.ChronoPartyAI.ItemBudget = ItemBudget;
+
+  // ------------------------------------------------------------
+  // Formations (leader-relative slots for AI members)
+  // ------------------------------------------------------------
+  // Slot offsets [forward, side] from the leader, turned to the leader's facing
+  // (side > 0 = the leader's right hand), in fill order: N members use the first
+  // N slots, and within those the front-most go to tanks, the rear-most to healers.
+  const FORMATIONS = {
+    column: [[-1, 0], [-2, 0], [-3, 0], [-4, 0], [-5, 0], [-6, 0]],
+    wedge: [[-1, -1], [-1, 1], [-2, -2], [-2, 2], [-3, -3], [-3, 3]],
+    line: [[0, -1], [0, 1], [0, -2], [0, 2], [0, -3], [0, 3]],
+    box: [[1, -1], [-1, 1], [1, 1], [-1, -1], [1, 0], [-1, 0], [0, -1], [0, 1]],
+    circle: [[2, 0], [-2, 0], [0, -2], [0, 2], [1, -2], [1, 2], [-1, -2], [-1, 2]],
+  };
+
+  const FORMATION_ROLE_RANK = { TANK: 0, MELEE: 1, RANGED: 2, HEALER: 3 };
+  const FORMATION_DEFENSIVE_RADIUS = 3; // DEFENSIVE members only engage enemies this close to their anchor
+
+  const Formations = {
+    // Saved with the game (chrono_ai_formation); the parameter until then.
+    current() {
+      const name = $gameSystem._chronoPartyAiFormation;
+      return FORMATIONS[name] ? name : CFG.defaultFormation;
+    },
+
+    set(name) {
+      const n = String(name || "").toLowerCase();
+      if (!FORMATIONS[n]) return;
+      $gameSystem._chronoPartyAiFormation = n;
+      log("Formation", n);
+    },
+
+    // Leader facing is frozen when a fight starts, so combat anchors don't swing
+    // every time the leader turns to attack.
+    startFight() {
+      this._combatDir = $gamePlayer.direction();
+    },
+
+    // Slot of an AI member: members ordered by role rank (then party order)
+    // take the used slots ordered front to back.
+    slot(actorId) {
+      const mgr = ROA.ChronoPartyAI.Manager.get();
+      const party = ROA.ChronoPartyAI.Manager.partyActorIds().filter(id => mgr.controllers.has(id));
+      const rank = id => FORMATION_ROLE_RANK[mgr.controllers.get(id).role()] ?? 1;
+      const ids = party.slice().sort((a, b) => (rank(a) - rank(b)) || (party.indexOf(a) - party.indexOf(b)));
+      const list = FORMATIONS[this.current()] || FORMATIONS.column;
+      const slots = list.slice(0, ids.length).sort((a, b) => b[0] - a[0]);
+      return slots[ids.indexOf(actorId)] || null;
+    },
+
+    // Map tile of an actor's slot, or null (not an AI member / more members than slots).
+    slotTile(actorId, inCombat = false) {
+      const slot = this.slot(actorId);
+      if (!slot) return null;
+      const leader = $gamePlayer;
+      const d = inCombat && this._combatDir ? this._combatDir : leader.direction();
+      const fx = d === 6 ? 1 : d === 4 ? -1 : 0;
+      const fy = d === 2 ? 1 : d === 8 ? -1 : 0;
+      const [f, s] = slot;
+      // right hand of facing (fx, fy) is (-fy, fx)
+      return {
+        x: $gameMap.roundX(leader.x + f * fx - s * fy),
+        y: $gameMap.roundY(leader.y + f * fy + s * fx),
+      };
+    },
+  };
+
+  ROA.ChronoPartyAI.Formations = Formations;
+
+  // Accepts a Game_Actor or a $dataActors entry.
+  function actorData(actor) {
+    return actor && typeof actor.actor === "function" ? actor.actor() : actor;
+  }
+
+  // Cheap per-frame check; the full config is only needed once AI is on.
+  function actorAiEnabled(actor) {
+    const data = actorData(actor);
+    if (!data) return false;
+    const override = $gameSystem ? Overrides.get(data.id, "enabled") : undefined;
+    if (override !== undefined) return override;
+    return parseTagBool(data.note || "", "ChronoAI") ?? false;
+  }
+
+  // Parsed notetag blocks per actor id, rebuilt only when the note text changes.
+  const _noteBlockCache = new Map();
+
+  function actorNoteBlocks(data) {
+    const note = data && data.note ? data.note : "";
+    const id = data ? data.id : 0;
+    let entry = _noteBlockCache.get(id);
+    if (!entry || entry.note !== note) {
+      entry = {
+        note,
+        gambits: Gambits.parse(parseTagBlock(note, "Gambits")),
+        targetWeights: TargetScorer.parse(parseTagBlock(note, "TargetWeights")),
+      };
+      _noteBlockCache.set(id, entry);
+    }
+    return entry;
+  }
+
   function actorAiConfig(actor) {
-    const note = actor && actor.note ? actor.note : "";
+    const data = actorData(actor);
+    const note = data && data.note ? data.note : "";
+    const blocks = actorNoteBlocks(data);
     const enabled = parseTagBool(note, "ChronoAI") ?? false;
     const role = (parseTagValue(note, "Role") || "").toUpperCase();
     const stance = (parseTagValue(note, "Stance") || "AGGRESSIVE").toUpperCase();
@@ -178,22 +868,44 @@
       preferredRange: Number(parseTagValue(note, "PreferredRange") || CFG.defaultPreferredRange),
       keepDistance: Number(parseTagValue(note, "KeepDistance") || CFG.defaultKeepDistance),
       protectRadius: Number(parseTagValue(note, "ProtectRadius") || CFG.defaultProtectRadius),
+      dodge: Number(parseTagValue(note, "Dodge") ?? CFG.defaultDodge),
 
       toolAttack: Number(parseTagValue(note, "ToolAttack") || 0),
       toolDefend: Number(parseTagValue(note, "ToolDefend") || 0),
       toolHeal: Number(parseTagValue(note, "ToolHeal") || 0),
       toolBuff: Number(parseTagValue(note, "ToolBuff") || 0),
+      toolFallback: Number(parseTagValue(note, "ToolFallback") || 0),
+      toolRevive: Number(parseTagValue(note, "ToolRevive") || 0),
+
+      healSkillId: Number(parseTagValue(note, "HealSkillId") || 0),
+      buffSkillId: Number(parseTagValue(note, "BuffSkillId") || 0),
+
+      threatRate: Number(parseTagValue(note, "ThreatRate") || 100),
+      useItems: parseTagBool(note, "ChronoAI UseItems") ?? true,
+
+      reserveMP: Number(parseTagValue(note, "ReserveMP") || 0),
+      reserveTP: Number(parseTagValue(note, "ReserveTP") || 0),
+
+      gambits: blocks.gambits,
+      targetWeights: blocks.targetWeights,
     };
 
-    return cfg;
+    return data ? Overrides.apply(data.id, cfg) : cfg;
   }
 
-  function enemyTypeFromEnemyDb(enemyId) {
+  const ENEMY_TYPES = ["MELEE", "RANGED", "CASTER", "HEALER", "BOSS", "SWARM", "ELITE"];
+  const RANGED_ENEMY_TYPES = ["RANGED", "CASTER", "HEALER"]; // attack from afar; the rest get kited
+  const ENEMY_RANGED_TOOL_RANGE = 3; // directed tool areas this long count as ranged attacks
+
+  function enemyMetaFromEnemyDb(enemyId) {
     const e = $dataEnemies && $dataEnemies[enemyId];
-    if (!e) return "MELEE";
-    const note = e.note || "";
-    const t = (parseTagValue(note, "EnemyType") || "MELEE").toUpperCase();
-    return (t === "RANGED") ? "RANGED" : "MELEE";
+    const note = (e && e.note) || "";
+    const t = (parseTagValue(note, "EnemyType") || "").toUpperCase();
+    return {
+      type: ENEMY_TYPES.includes(t) ? t : null, // null = inferred from the event's tools
+      priority: Number(parseTagValue(note, "Priority") || 0),
+      avoid: parseTagFlag(note, "Avoid"),
+    };
   }
 
   // ------------------------------------------------------------
@@ -206,14 +918,16 @@
         // follower index 1 = party slot 2, etc. (leader is player)
         const members = $gameParty.members();
         const idx = members.findIndex(a => a && a.actorId && a.actorId() === actorId);
-        if (idx <= 0) return null;
+        if (idx < 0) return null;
+        if (idx === 0) return $gamePlayer;
         const follower = $gamePlayer.followers().follower(idx - 1);
         return follower || null;
       }
 
-      // TODO: If your Chrono build spawns separate battler events for actors,
-      // bind actorId -> that event/character here.
-      return null;
+      // custom: leader is the player, AI actors have their own Game_PartyBody
+      const leader = $gameParty.leader();
+      if (leader && leader.actorId() === actorId) return $gamePlayer;
+      return PartyBodies.bodyFor(actorId);
     },
 
     // --- Enemy discovery ---
@@ -247,18 +961,192 @@
         }
 
         if (enemyId > 0) {
+          const meta = enemyMetaFromEnemyDb(enemyId);
+          const inferred = this.inferEnemyType(data.pages);
           ev._roaEnemyId = enemyId;
-          ev._roaEnemyType = enemyTypeFromEnemyDb(enemyId);
+          ev._roaEnemyType = meta.type || inferred;
+          ev._roaEnemyPriority = meta.priority;
+          ev._roaEnemyAvoid = meta.avoid;
+          // BOSS / SWARM / ELITE say nothing about reach: take it from the tools
+          const reach = ["MELEE", ...RANGED_ENEMY_TYPES].includes(ev._roaEnemyType) ? ev._roaEnemyType : inferred;
+          ev._roaEnemyRanged = RANGED_ENEMY_TYPES.includes(reach);
+        }
+      });
+    },
+
+    // Archetype guessed from the tools the enemy event fires with this.act(X).
+    inferEnemyType(pages) {
+      const types = this.eventToolIds(pages).map(id => this.toolArchetype(this.toolInfo(id)));
+      return ["HEALER", "CASTER", "RANGED"].find(t => types.includes(t)) || "MELEE";
+    },
+
+    // Tool ids in this.act(X) calls: script commands, autonomous and Set Move Route scripts.
+    eventToolIds(pages) {
+      const ids = new Set();
+      const scan = text => {
+        for (const m of String(text || "").matchAll(/\bact\(\s*(\d+)\s*\)/g)) ids.add(Number(m[1]));
+      };
+      const scanRoute = route => {
+        for (const c of (route && route.list) || []) if (c.code === 45) scan(c.parameters[0]);
+      };
+      for (const page of pages) {
+        if (!page) continue;
+        scanRoute(page.moveRoute);
+        for (const cmd of page.list || []) {
+          if (cmd.code === 355 || cmd.code === 655) scan(cmd.parameters[0]);
+          else if (cmd.code === 205) scanRoute(cmd.parameters[1]);
         }
+      }
+      return [...ids];
+    },
+
+    toolArchetype(info) {
+      if (!info) return null;
+      const e = info.effectItem;
+      if (e && info.hitsFriends && (e.damage.type === 3 || e.effects.some(ef => ef.code === Game_Action.EFFECT_RECOVER_HP))) {
+        return "HEALER";
+      }
+      if (e && info.hitsOpponents && (info.requiresCast || e.hitType === Game_Action.HITTYPE_MAGICAL)) return "CASTER";
+      if (info.projectile || info.autoTarget || info.boomerang.enabled || info.hookshot.enabled) return "RANGED";
+      const directed = ["line", "front_rhombus", "front_square", "wall"].includes(info.areaName);
+      return directed && info.range >= ENEMY_RANGED_TOOL_RANGE ? "RANGED" : "MELEE";
+    },
+
+    // Live tool events fired by enemies that can still hurt the party.
+    enemyToolEvents() {
+      return $gameMap.events().filter(ev => {
+        const tool = ev._tool;
+        if (!tool || !tool.enabled || !tool.collision || tool.removeSprite || ev._erased) return false;
+        const user = tool.user && tool.user.battler();
+        if (!user || !user.isEnemy()) return false;
+        const info = this.toolInfo(tool.id);
+        return !info || info.hitsOpponents;
       });
     },
 
+    // Tiles a live tool will hit within `horizon` frames: "x,y" -> first frame.
+    // Mirrors ToolEvent.canCollide()/inRange(): nothing lands while tool_wait_collision
+    // runs or after the duration; projectiles carry the area forward at their speed.
+    // Cached per frame on the tool.
+    toolDangerTiles(ev, horizon) {
+      const cached = ev._roaDanger;
+      if (cached && cached.frame === Graphics.frameCount && cached.horizon === horizon) return cached.tiles;
+
+      const tool = ev._tool;
+      const tiles = new Map();
+      const start = Math.max(tool.wait, 0);
+      const end = tool.waitD ? horizon : Math.min(horizon, tool.duration);
+      const dir = ev.direction();
+      const speed = tool.projectile ? ev.distancePerFrame() : 0;
+      const steps = Math.floor(Math.max(end, 0) * speed);
+      const vx = dir === 6 ? 1 : dir === 4 ? -1 : 0;
+      const vy = dir === 2 ? 1 : dir === 8 ? -1 : 0;
+      const r = tool.range;
+      for (let k = 0; k <= steps && start <= end; k++) {
+        const frame = Math.max(start, speed > 0 ? Math.ceil(k / speed) : 0);
+        if (frame > end) break;
+        const ox = ev.x + vx * k;
+        const oy = ev.y + vy * k;
+        for (let dx = -r; dx <= r; dx++) {
+          for (let dy = -r; dy <= r; dy++) {
+            if (!this.areaCovers(tool.area, r, dir, dx, dy)) continue;
+            const key = `${$gameMap.roundX(ox + dx)},${$gameMap.roundY(oy + dy)}`;
+            if (!tiles.has(key) || tiles.get(key) > frame) tiles.set(key, frame);
+          }
+        }
+      }
+
+      ev._roaDanger = { frame: Graphics.frameCount, horizon, tiles };
+      return tiles;
+    },
+
+    // First step toward the nearest tile outside `danger` ("x,y" -> hit frame)
+    // that is reached before anything lands on the way; 0 = no way out in time.
+    dodgeDirection(char, danger, maxSteps = DODGE_MAX_STEPS) {
+      const perTile = 1 / char.distancePerFrame();
+      const seen = new Set([`${char.x},${char.y}`]);
+      let frontier = [{ x: char.x, y: char.y, first: 0 }];
+      for (let step = 1; step <= maxSteps && frontier.length > 0; step++) {
+        const next = [];
+        // a step's tile is occupied from the moment the step starts until the next one
+        const leave = step * perTile;
+        for (const n of frontier) {
+          for (const d of DIRS) {
+            if (!char.canPass(n.x, n.y, d)) continue;
+            const x = $gameMap.roundXWithDirection(n.x, d);
+            const y = $gameMap.roundYWithDirection(n.y, d);
+            const key = `${x},${y}`;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            const first = n.first || d;
+            const hit = danger.get(key);
+            if (hit === undefined) return first;
+            if (hit > leave) next.push({ x, y, first }); // crossed before it lands
+          }
+        }
+        frontier = next;
+      }
+      return 0;
+    },
+
+    // --- Guard (follower-safe) ---
+    // Game_Player.commandRasGuard() reads the arrow keys and updateToolCommand()
+    // drops the guard every frame; AI characters set and clear it here instead.
+    canGuard(char) {
+      if (!$gameSystem.isAbsMode() || $gameSystem.isChronoMode()) return false;
+      const b = char && char.battler();
+      if (!b || !b.isActor() || b.isDead()) return false;
+      // an equipped shield: Chrono's "Shield Pose Suffix" or a shield "Tool Id"
+      if (!b._ras.guard.enabled && !(b.toolShieldID() > 0)) return false;
+      return char.canMove() && !char.isActing() && !char.isCasting() && !char.isKnockbacking();
+    },
+
+    isGuarding(char) {
+      return !!(char && char.isGuarding());
+    },
+
+    canGuardAgainst(ev) {
+      return $gameSystem.isAbsMode() && !ev._tool.ignoreGuard && this.guardDirectionFor(ev) > 0;
+    },
+
+    // Facing that blocks the tool (ToolEvent.isGuardingDirection); 0 = none.
+    guardDirectionFor(ev) {
+      if (ev._user.diagonal[0]) return { 9: 2, 7: 2, 1: 8, 3: 8 }[ev._user.diagonal[1]] || 0;
+      return 10 - ev.direction();
+    },
+
+    // Reflectable projectiles (tool_shield_reflect) are sent back by Chrono on the block.
+    setGuard(char, on, toolEv = null) {
+      const b = char.battler();
+      if (!b) return;
+      b._ras.guard.active = !!on;
+      if (on && toolEv) char.setDirection(this.guardDirectionFor(toolEv));
+    },
+
     enemyCharacters() {
       this.ensureEnemyMetaCached();
       // Heuristic: any map event that has enemy_id comment is an enemy battler on map.
       return $gameMap.events().filter(ev => ev && ev._roaEnemyId > 0);
     },
 
+    // Enemy the leader is aiming an auto-target tool at (Chrono's ToolCursor), or null.
+    leaderCursorTarget() {
+      const cursor = $gameTemp._autoTarget;
+      if (!cursor || !cursor.enabled || !cursor.target) return null;
+      if ($gameSystem.isChronoMode()) {
+        const com = $gameTemp._chronoCom;
+        if (!com.user || com.user[0] !== $gamePlayer) return null;
+      }
+      const b = cursor.target.battler && cursor.target.battler();
+      return b && b.isEnemy() ? cursor.target : null;
+    },
+
+    characterForBattler(battler) {
+      if (!battler) return null;
+      if (battler.isActor()) return this.characterForActorId(battler.actorId());
+      return this.enemyCharacters().find(ev => ev.battler() === battler) || null;
+    },
+
     // --- Distance helpers ---
     distTiles(a, b) {
       if (!a || !b) return 9999;
@@ -268,9 +1156,130 @@
     },
 
     // --- Movement helpers ---
-    moveToward(char, targetChar) {
-      if (!char || !targetChar) return;
-      char.moveTowardCharacter(targetChar);
+    // Steps one tile along a planned path; falls back to Chrono's
+    // moveTowardCharacter when no path exists (e.g. target on a blocked tile).
+    moveToward(char, targetChar, range = 1) {
+      if (!char || !targetChar || char.isMoving()) return;
+      if (Pathfinder.stepToward(char, targetChar.x, targetChar.y, range, targetChar)) return;
+      if (this.distTiles(char, targetChar) > range) char.moveTowardCharacter(targetChar);
+    },
+
+    moveToTile(char, x, y, range = 0) {
+      if (!char || char.isMoving()) return false;
+      if (range === 0) {
+        const free = this.freeTileNear(char, x, y);
+        x = free[0];
+        y = free[1];
+      }
+      return Pathfinder.stepToward(char, x, y, range, null);
+    },
+
+    // Chrono's isXYavailableMove() slides a blocked destination along the
+    // approach axis until no battler stands on it.
+    freeTileNear(char, x, y) {
+      if (typeof char.isXYavailableMove !== "function" || !char.battler()) return [x, y];
+      const d = char.direction();
+      const pos = char.isXYavailableMove(0, 0, { _x: x, _y: y }, false);
+      char.setDirection(d); // isXYavailableMove turns the character; undo that
+      return pos;
+    },
+
+    // Battler (party member or live enemy) standing on x,y, other than `exclude`.
+    battlerAt(x, y, exclude) {
+      for (const c of $gameMap.players()) {
+        if (c !== exclude && c.x === x && c.y === y) return c;
+      }
+      for (const e of this.enemyCharacters()) {
+        if (e === exclude || e._erased || !e.battler() || e.battler().isDead()) continue;
+        if (e.x === x && e.y === y) return e;
+      }
+      return null;
+    },
+
+    // --- Line of sight ---
+    blocksSightAt(x, y) {
+      if (!DIRS.some(d => $gameMap.isPassable(x, y, d))) return true;
+      if (CFG.sightBlockRegions.includes($gameMap.regionId(x, y))) return true;
+      return $gameMap.eventsXyNt(x, y).some(ev => this.isSightBlocker(ev));
+    },
+
+    isSightBlocker(ev) {
+      if (ev._roaBlocksSight === undefined) {
+        const data = ev.event && ev.event();
+        ev._roaBlocksSight = !!(data && /<\s*ChronoAI\s+BlocksSight\s*>/i.test(data.note || ""));
+      }
+      return ev._roaBlocksSight && !ev._erased;
+    },
+
+    // Bresenham between the two tiles; the end tiles themselves never block.
+    hasLineOfSightXY(x1, y1, x2, y2) {
+      const dx = Math.abs(x2 - x1);
+      const dy = Math.abs(y2 - y1);
+      const sx = x1 < x2 ? 1 : -1;
+      const sy = y1 < y2 ? 1 : -1;
+      let err = dx - dy;
+      let x = x1;
+      let y = y1;
+      while (x !== x2 || y !== y2) {
+        const e2 = err * 2;
+        if (e2 > -dy) { err -= dy; x += sx; }
+        if (e2 < dx) { err += dx; y += sy; }
+        if ((x !== x2 || y !== y2) && this.blocksSightAt(x, y)) return false;
+      }
+      return true;
+    },
+
+    hasLineOfSight(a, b) {
+      if (!a || !b) return false;
+      return this.hasLineOfSightXY(a.x, a.y, b.x, b.y);
+    },
+
+    // Nearest free tile (to char) within range of target that has a clear line to it.
+    sightTileNear(char, targetChar, range) {
+      const r = Math.min(Math.max(range, 1), 8);
+      let best = null;
+      let bestD = 9999;
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const dist = Math.abs(dx) + Math.abs(dy);
+          if (dist === 0 || dist > r) continue;
+          const x = targetChar.x + dx;
+          const y = targetChar.y + dy;
+          if (!$gameMap.isValid(x, y) || this.blocksSightAt(x, y)) continue;
+          if (this.battlerAt(x, y, char)) continue;
+          const d = $gameMap.distance(char.x, char.y, x, y);
+          if (d >= bestD || !this.hasLineOfSightXY(x, y, targetChar.x, targetChar.y)) continue;
+          bestD = d;
+          best = { x, y };
+        }
+      }
+      return best;
+    },
+
+    // Like sightTileNear(), but steers clear of tiles next to `enemies`.
+    safeTileNear(char, targetChar, range, enemies) {
+      const r = Math.min(Math.max(range, 1), 8);
+      let best = null;
+      let bestScore = 9999;
+      for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+          const dist = Math.abs(dx) + Math.abs(dy);
+          if (dist === 0 || dist > r) continue;
+          const x = targetChar.x + dx;
+          const y = targetChar.y + dy;
+          if (!$gameMap.isValid(x, y) || this.blocksSightAt(x, y)) continue;
+          if (this.battlerAt(x, y, char)) continue;
+          let score = $gameMap.distance(char.x, char.y, x, y);
+          for (const e of enemies) {
+            const d = $gameMap.distance(e.x, e.y, x, y);
+            if (d < SAFE_TILE_RADIUS) score += (SAFE_TILE_RADIUS - d) * 4;
+          }
+          if (score >= bestScore || !this.hasLineOfSightXY(x, y, targetChar.x, targetChar.y)) continue;
+          bestScore = score;
+          best = { x, y };
+        }
+      }
+      return best;
     },
 
     moveAway(char, targetChar) {
@@ -294,68 +1303,881 @@
     },
 
     // --- Tool usage ---
-    tryUseTool(userChar, toolId, commandType) {
-      // TODO: This is the MOST IMPORTANT wire-up.
-      // You must trigger Chrono's REAL "use tool" pipeline here.
-      //
-      // Common Chrono setups use something like Game_Player.prototype.act()
-      // to execute the currently selected tool, sometimes reading internal fields.
-      //
-      // This skeleton tries several call shapes. You may need to edit to match your Chrono version.
-      if (!userChar || !toolId) return false;
-
-      // 1) Preferred: direct act(toolId, commandType) if supported
-      if (typeof userChar.act === "function") {
-        try {
-          // Attempt signatures:
-          userChar._roaForcedToolId = toolId;       // stash for versions that read from vars
-          userChar._roaForcedCmdType = commandType; // 0=weapon 1=skill 2=item (Chrono docs)
-          // Try common variants:
-          userChar.act(toolId, commandType);
-          return true;
-        } catch (e1) {
-          try { userChar.act(toolId); return true; } catch (e2) {}
-          try { userChar.act(); return true; } catch (e3) {}
-          // fall through
-        }
-      }
-
-      // 2) Fallback: if your Chrono exposes a global manager, call it here.
-      // e.g., if (Moghunter && Moghunter.someMethod) { ... }
-      // TODO: Implement per your Chrono internals.
-      log("tryUseTool failed: no compatible act() found. Wire ChronoCompat.tryUseTool.");
-      return false;
+    // True for map characters whose actions are driven by a Controller
+    // (never the leader; the leader stays on Chrono's input path).
+    isAiCharacter(char) {
+      if (!char || !char._user || char._user.isLeader) return false;
+      const battler = char.battler && char.battler();
+      if (!battler || !battler.isActor()) return false;
+      const mgr = ROA.ChronoPartyAI._mgr;
+      return !!(mgr && mgr.controllers.has(battler.actorId()));
     },
 
-    // --- Support effects (heal/buff) ---
-    applySupportSkill(userActor, targetActor, skillId) {
-      if (!userActor || !targetActor || !skillId) return false;
-      const skill = $dataSkills && $dataSkills[skillId];
-      if (!skill) return false;
-
-      // Pay cost
-      if (userActor.canPaySkillCost && !userActor.canPaySkillCost(skill)) return false;
-      if (userActor.paySkillCost) userActor.paySkillCost(skill);
+    // Character is mid-action (casting, tool pose, hookshot) or reeling from a
+    // hit and must not be given new orders until Chrono releases it.
+    isBusy(char) {
+      if (!char || !char.battler()) return false;
+      return char.isCasting() || char.isActing() || char.isKnockbacking();
+    },
 
-      // Apply action
-      const action = new Game_Action(userActor);
-      action.setSkill(skillId);
-      action.apply(targetActor);
+    // Cost check against the preloaded tool event, with the AI character as
+    // the paying user. Mirrors ToolEvent.toolUsable() without its side effects
+    // (no "cannot pay" SE, no action-times bookkeeping).
+    canPayToolCost(userChar, toolId) {
+      if (!userChar || !userChar.battler() || !$gameMap.toolIsExist(toolId)) return false;
+      const probe = $gameMap.toolEvent(toolId);
+      if (!probe) return false;
+      const prevUser = probe._tool.user;
+      probe._tool.user = userChar;
+      probe._payCost = { item: null, mp: null, tp: null };
+      const ok = probe.canUseUniqueTools() && probe.canPayActionCost();
+      probe._tool.user = prevUser;
+      return ok;
+    },
 
-      // TODO: If you want Chrono-style popups/animations, trigger them here.
-      // Example ideas:
-      // - targetChar.requestAnimation(skill.animationId)
-      // - call Chrono popup function if exposed
+    // canPayToolCost() that also leaves `reserve` ({ mp, tp }, % of max) unspent.
+    canAffordTool(userChar, toolId, reserve = null) {
+      if (!this.canPayToolCost(userChar, toolId)) return false;
+      const info = reserve ? this.toolInfo(toolId) : null;
+      if (!info) return true;
+      const b = userChar.battler();
+      if (info.mpCost > 0 && b.mp - info.mpCost < b.mmp * reserve.mp / 100) return false;
+      if (info.tpCost > 0 && b.tp - info.tpCost < b.maxTp() * reserve.tp / 100) return false;
+      return true;
+    },
 
+    // Follower version of Game_CharacterBase.canExecuteAction(). Same order as
+    // the leader (usable -> cast -> auto-target), minus the leader-only
+    // "_toolsOnMap" lock and the on-screen cursor.
+    canExecuteAiAction(char, toolId) {
+      if ($gameSystem.isChronoMode()) return false;
+      if (!char.canUseTool(toolId)) {
+        char.clearActing();
+        return false;
+      }
+      if (char.isKnockbacking() || char.isGuarding()) return false;
+      if (char.isRequiredCast(toolId)) {
+        // Game_CharacterBase.executeCast() re-enters act() when the cast ends.
+        char.prepareCast(toolId);
+        return false;
+      }
+      if (char.isAutoTarget(toolId)) {
+        const target = char._roaAiTarget;
+        const info = this.toolInfo(toolId);
+        const deadOk = !!info && info.hitsDead; // revive tools aim at the fallen
+        if (target && target.battler() && (deadOk || !target.battler().isDead()) && !target._erased) {
+          char._user.autoTarget = target;
+        } else {
+          char.executeAutoTarget(toolId);
+        }
+        if (!char._user.autoTarget) return false;
+      }
       return true;
     },
-  };
 
-  ROA.ChronoPartyAI.ChronoCompat = ChronoCompat;
+    // Fires a Chrono tool for an AI character. Returns true when the tool was
+    // queued into $gameSystem._eventDataTool or started casting; the final
+    // outcome (cost paid, tool spawned) is reported through
+    // Controller.onToolResult() once Game_Map.addToolEvents() builds it.
+    tryUseTool(userChar, toolId, commandType, target, aim = target) {
+      if (!userChar || !toolId || !userChar.battler()) return false;
+      if (this.isBusy(userChar)) return false;
+      if (!this.canPayToolCost(userChar, toolId)) {
+        log(`tryUseTool: actor ${userChar.battler().actorId()} cannot pay tool ${toolId}`);
+        return false;
+      }
+
+      userChar._roaAiTarget = target || null;
+      if (aim && aim !== userChar) userChar.turnTowardCharacter(aim);
+      userChar.act(toolId);
+
+      const queue = $gameSystem._eventDataTool || [];
+      const queued = queue.some(d => d[0] === toolId && d[1] === userChar);
+      const ok = queued || userChar.isCasting();
+      log(`tryUseTool: actor ${userChar.battler().actorId()} tool ${toolId} (type ${commandType}) ->`, ok ? (queued ? "queued" : "casting") : "rejected");
+      return ok;
+    },
+
+    // Called from ToolEvent start/cancel for every tool spawned by an AI character.
+    notifyToolResult(userChar, toolId, ok) {
+      if (!this.isAiCharacter(userChar)) return;
+      const ctrl = ROA.ChronoPartyAI._mgr.controllers.get(userChar.battler().actorId());
+      if (ctrl) ctrl.onToolResult(toolId, ok);
+    },
+
+    // --- Tool metadata ---
+    // Static descriptor of a tool event, parsed from its $dataMapTool comments with
+    // the keys ToolEvent.checkToolNotes() reads. Cached per tool id.
+    _toolInfoCache: new Map(),
+
+    toolInfo(toolId) {
+      if (this._toolInfoCache.has(toolId)) return this._toolInfoCache.get(toolId);
+      const ev = $dataMapTool && $dataMapTool.events[toolId];
+      const info = ev && ev.pages && ev.pages[0] ? this.parseToolInfo(toolId, ev.pages[0].list) : null;
+      this._toolInfoCache.set(toolId, info);
+      return info;
+    },
+
+    clearToolInfo() {
+      this._toolInfoCache.clear();
+    },
+
+    parseToolInfo(toolId, list) {
+      const info = {
+        id: toolId,
+        area: 0, areaName: "rhombus", range: 1,
+        position: 0, autoTarget: false, projectile: false,
+        skill: null, item: null, effectItem: null,
+        itemCost: 0, mpCost: 0, tpCost: 0, ctCost: 0,
+        damageAll: false,
+        boomerang: { enabled: false, range: 0 },
+        hookshot: { enabled: false, range: 0 },
+        combo: { id: 0, type: 0, time: 20 },
+        chargeAttack: { id: 0, maxTime: 120 },
+        duration: 60, multihit: false, piercing: true, diagonal: false, directions: 1,
+        speed: 0, scope: 0, requiresCast: false,
+        hitsOpponents: false, hitsFriends: false, hitsDead: false,
+      };
+      const areas = ["rhombus", "square", "line", "front_rhombus", "front_square", "wall", "cross"];
+
+      for (const l of list) {
+        if (l.code !== 108) continue;
+        const comment = String(l.parameters[0]).split(" : ");
+        const key = comment[0].toLowerCase();
+        const value = comment[1];
+        switch (key) {
+          case "tool_duration": info.duration = Math.max(Number(value), 1); break;
+          case "tool_range": info.range = Math.max(Number(value), 0); break;
+          case "tool_area": {
+            const a = areas.indexOf(String(value));
+            info.area = a > 0 ? a : 0;
+            info.areaName = areas[info.area];
+            break;
+          }
+          case "tool_position":
+            info.position = value === "target" ? 1 : value === "user" ? 2 : 0;
+            if (info.position === 1) info.autoTarget = true;
+            break;
+          case "tool_auto_target": info.position = 1; info.autoTarget = true; break;
+          case "tool_projectile": info.position = 2; info.projectile = true; break;
+          case "tool_item_id": {
+            const item = $dataItems[Number(value)];
+            if (item) {
+              info.item = item;
+              if (item.consumable) info.itemCost = item.id;
+            }
+            break;
+          }
+          case "tool_skill_id": info.skill = $dataSkills[Number(value)] || info.skill; break;
+          case "tool_item_cost": info.itemCost = Number(value); break;
+          case "tool_mp_cost": info.mpCost = Number(value); break;
+          case "tool_tp_cost": info.tpCost = Number(value); break;
+          case "tool_ct_cost": info.ctCost = Number(value); break;
+          case "tool_damage_all": info.damageAll = true; break;
+          case "tool_multihit": info.multihit = true; break;
+          case "tool_disable_piercing": info.piercing = false; break;
+          case "tool_diagonal": info.diagonal = true; break;
+          case "tool_all_directions": info.directions = 8; info.diagonal = true; break;
+          case "tool_four_directions": info.directions = 4; break;
+          case "tool_three_directions": info.directions = 3; info.diagonal = true; break;
+          case "tool_combo":
+            info.combo = { id: Number(value), type: Number(comment[2]), time: comment[3] != null ? Number(comment[3]) : 20 };
+            break;
+          case "tool_charge_attack": info.chargeAttack = { id: Number(value), maxTime: Number(comment[2]) }; break;
+          case "tool_boomerang": info.boomerang = { enabled: true, range: Number(value) || 4 }; break;
+          case "tool_hookshot":
+            info.hookshot = { enabled: true, range: Number(value) || 4 };
+            info.range = 0;
+            info.diagonal = false;
+            info.multihit = false;
+            break;
+        }
+      }
+
+      info.effectItem = info.skill || info.item;
+      if (info.skill) {
+        info.mpCost += info.skill.mpCost;
+        info.tpCost += info.skill.tpCost;
+      }
+      if (info.effectItem) {
+        const scope = info.effectItem.scope;
+        info.speed = info.effectItem.speed;
+        info.scope = scope;
+        info.requiresCast = info.speed !== 0;
+        info.hitsOpponents = scope >= 1 && scope <= 6;
+        info.hitsFriends = scope >= 7 && scope <= 11;
+        info.hitsDead = scope === 9 || scope === 10;
+      }
+      return info;
+    },
+
+    // Actor skills Chrono offers as ABS tools ("Tool Id : N" + "Abs Mode" notes, as Window_ToolSkill).
+    absToolSkills(actor) {
+      const list = [];
+      for (const skill of actor.skills()) {
+        const toolId = this.absToolId(skill);
+        if (toolId > 0) list.push({ skill, toolId });
+      }
+      return list;
+    },
+
+    // Party items Chrono offers as ABS tools (as Window_ToolList).
+    absToolItems() {
+      const list = [];
+      for (const item of $gameParty.items()) {
+        const toolId = this.absToolId(item);
+        if (toolId > 0) list.push({ item, toolId });
+      }
+      return list;
+    },
+
+    // Tool id of a skill/item with both "Tool Id : N" and "Abs Mode" notes, else 0.
+    absToolId(obj) {
+      let toolId = 0;
+      let absMode = false;
+      for (const note of obj.note.split(/[\r\n]+/)) {
+        const noteData = note.split(" : ");
+        if (noteData[0].toLowerCase() === "tool id") toolId = Number(noteData[1]);
+        else if (noteData[0].toLowerCase() === "abs mode") absMode = true;
+      }
+      return absMode ? toolId : 0;
+    },
+
+    // Rough HP/MP an item restores on `battler` (recover effects only).
+    itemRecovery(item, battler, code) {
+      let amount = 0;
+      for (const e of item.effects) {
+        if (e.code !== code) continue;
+        const max = code === Game_Action.EFFECT_RECOVER_HP ? battler.mhp : battler.mmp;
+        amount += max * e.value1 + e.value2;
+      }
+      return amount;
+    },
+
+    // --- Tool reach ---
+    // Mirrors ToolEvent.inRange(): dx/dy are tool -> target, dir is the tool's facing.
+    areaCovers(area, range, dir, dx, dy) {
+      const ax = Math.abs(dx);
+      const ay = Math.abs(dy);
+      switch (area) {
+        case 0: return ax + ay <= range;
+        case 1: return ax <= range && ay <= range;
+        case 2:
+          if (dir === 2) return dx === 0 && dy >= 0 && dy <= range;
+          if (dir === 8) return dx === 0 && dy <= 0 && dy >= -range;
+          if (dir === 6) return dy === 0 && dx >= 0 && dx <= range;
+          if (dir === 4) return dy === 0 && dx <= 0 && dx >= -range;
+          return false;
+        case 3:
+          if (ax + ay > range) return false;
+          return dir === 2 ? dy >= 0 : dir === 8 ? dy <= 0 : dir === 6 ? dx >= 0 : dir === 4 ? dx <= 0 : false;
+        case 4:
+          if (ax > range || ay > range) return false;
+          return dir === 2 ? dy >= 0 : dir === 8 ? dy <= 0 : dir === 6 ? dx >= 0 : dir === 4 ? dx <= 0 : false;
+        case 5:
+          return (dir === 2 || dir === 8) ? (ax <= range && dy === 0) : (ay <= range && dx === 0);
+        case 6:
+          return (ax <= range && dy === 0) || (ay <= range && dx === 0);
+      }
+      return false;
+    },
+
+    // Facing tryUseTool() gives the user (Game_Character.turnTowardCharacter).
+    facingToward(char, target) {
+      const sx = char.deltaXFrom(target.x);
+      const sy = char.deltaYFrom(target.y);
+      if (Math.abs(sx) > Math.abs(sy)) return sx > 0 ? 4 : 6;
+      if (sy !== 0) return sy > 0 ? 8 : 2;
+      return char.direction();
+    },
+
+    // Would toolId, fired by userChar right now, cover targetChar? Applies the
+    // bodySize offsets of ToolEvent.collidedXY(). Projectiles travel along the
+    // facing, so they count as a line of length `reach` widened by tool_range.
+    // `aim` ({x, y}) replaces the target's tile when leading a moving target.
+    toolWouldHit(userChar, toolId, targetChar, reach = 1, aim = targetChar) {
+      if (!userChar || !targetChar) return false;
+      const info = this.toolInfo(toolId);
+      if (!info) return this.distTiles(userChar, aim) <= 1;
+      if (info.autoTarget) return true; // spawns on the target's tile
+
+      const dir = targetChar === userChar ? userChar.direction() : this.facingToward(userChar, aim);
+      const battler = targetChar.battler ? targetChar.battler() : null;
+      const bodySize = battler && battler._ras ? battler._ras.bodySize : 0;
+      let dx = $gameMap.deltaX(aim.x, userChar.x);
+      let dy = $gameMap.deltaY(aim.y - bodySize, userChar.y);
+      dx = dx >= 0 ? Math.max(dx - bodySize, 0) : Math.min(dx + bodySize, 0);
+      dy = dy >= 0 ? Math.max(dy, 0) : Math.min(dy + bodySize, 0);
+
+      if (info.projectile) {
+        const ahead = dir === 2 ? dy : dir === 8 ? -dy : dir === 6 ? dx : -dx;
+        const side = (dir === 2 || dir === 8) ? Math.abs(dx) : Math.abs(dy);
+        return ahead >= 0 && ahead <= reach && side <= info.range;
+      }
+      return this.areaCovers(info.area, info.range, dir, dx, dy);
+    },
+
+    // Line, cross and projectile tools only hit along the user's row or column.
+    needsAlignment(toolId) {
+      const info = this.toolInfo(toolId);
+      return !!info && !info.autoTarget && (info.projectile || info.area === 2 || info.area === 6);
+    },
+
+    // Tile a moving target is heading for. Game_CharacterBase sets x/y to the
+    // destination when a step starts, so lead by one more step along its facing.
+    leadTile(target) {
+      const tile = { x: target.x, y: target.y };
+      if (!target.isMoving()) return tile;
+      const d = target.direction();
+      if (!target.canPass(target.x, target.y, d)) return tile;
+      tile.x = $gameMap.roundXWithDirection(target.x, d);
+      tile.y = $gameMap.roundYWithDirection(target.y, d);
+      return tile;
+    },
+
+    // Closest free tile sharing a row or column with x,y within `range`, with
+    // nothing blocking sight in between (each lane stops at the first blocker).
+    alignTileNear(char, x, y, range) {
+      const r = Math.min(Math.max(range, 1), 8);
+      let best = null;
+      let bestScore = 9999;
+      for (const d of DIRS) {
+        let tx = x;
+        let ty = y;
+        for (let k = 1; k <= r; k++) {
+          tx = $gameMap.roundXWithDirection(tx, d);
+          ty = $gameMap.roundYWithDirection(ty, d);
+          if (!$gameMap.isValid(tx, ty) || this.blocksSightAt(tx, ty)) break;
+          if (this.battlerAt(tx, ty, char)) continue;
+          // nearest to the shooter first, then as close to `range` as possible
+          const score = $gameMap.distance(char.x, char.y, tx, ty) * 10 + (r - k);
+          if (score >= bestScore) continue;
+          bestScore = score;
+          best = { x: tx, y: ty };
+        }
+      }
+      return best;
+    },
+
+    // Tiles the user may stand from the target and still land the tool.
+    toolReach(toolId, fallback = 1) {
+      const info = this.toolInfo(toolId);
+      if (!info) return fallback;
+      if (info.autoTarget || info.projectile) return Math.max(fallback, 1);
+      return Math.max(info.range, 1);
+    },
+
+    // --- Revive ---
+    isReviveItem(item) {
+      return !!item && (item.scope === 9 || item.scope === 10);
+    },
+
+    // "Tool Id : N" note of a skill/item (as Game_Chrono.getToolId).
+    itemToolId(item) {
+      for (const note of (item && item.note ? item.note : "").split(/[\r\n]+/)) {
+        const noteData = note.split(" : ");
+        if (noteData[0].toLowerCase() === "tool id") return Number(noteData[1]);
+      }
+      return 0;
+    },
+
+    // Revive item from the party inventory within the item budget, preferring ones that have a tool.
+    reviveItem(actor) {
+      const items = $gameParty.items().filter(item => this.isReviveItem(item) && actor.canUse(item) && ItemBudget.canSpend(item));
+      return items.find(item => this.itemToolId(item) > 0) || items[0] || null;
+    },
+
+    // Item without a tool: consumed and applied straight on the adjacent ally.
+    useItemOn(userChar, targetChar, item) {
+      const user = userChar.battler();
+      const target = targetChar.battler();
+      if (!user || !target || !$gameParty.hasItem(item)) return false;
+      $gameParty.consumeItem(item);
+      userChar.turnTowardCharacter(targetChar);
+      this.applySupportEffect(user, target, item);
+      if (item.animationId > 0) targetChar.requestAnimation(item.animationId);
+      Threat.onToolDamage(userChar, target, item);
+      return true;
+    },
+
+    // --- Support effects (heal/buff) ---
+    // Skill/item a tool applies (its tool_skill_id / tool_item_id).
+    toolEffectItem(toolId) {
+      const info = this.toolInfo(toolId);
+      return info ? info.effectItem : null;
+    },
+
+    // The skill wins over the tool's own effect when an override id is set.
+    supportItem(toolId, overrideSkillId) {
+      if (overrideSkillId > 0 && $dataSkills[overrideSkillId]) return $dataSkills[overrideSkillId];
+      return this.toolEffectItem(toolId);
+    },
+
+    // Remember which ally the next start of toolId is for (see ToolEvent.startTool hook).
+    setPendingSupport(userChar, toolId, targetActor, item) {
+      userChar._roaPendingSupport = item ? { toolId, target: targetActor, item } : null;
+    },
+
+    // Apply the tool's support effect to its chosen ally. Returns false once already applied.
+    applyToolSupport(toolEvent) {
+      const s = toolEvent._roaSupport;
+      if (!s || s.applied) return false;
+      s.applied = true;
+      const user = toolEvent.user().battler();
+      this.applySupportEffect(user, s.target, s.item, toolEvent._coopMembers);
+      return true;
+    },
+
+    applySupportEffect(userBattler, targetBattler, item, coopUsers) {
+      if (!userBattler || !targetBattler || !item) return false;
+      const action = new Game_Action(userBattler);
+      action.setAbsSubject(userBattler);
+      if (DataManager.isSkill(item)) action.setSkill(item.id);
+      else action.setItem(item.id);
+      action.applyCN(targetBattler, coopUsers || []);
+      targetBattler.startDamagePopup();
+      return true;
+    },
+  };
+
+  ROA.ChronoPartyAI.ChronoCompat = ChronoCompat;
+
+  // ------------------------------------------------------------
+  // Pathfinder (A* over map passability, shared by all controllers)
+  // ------------------------------------------------------------
+  const DIRS = [2, 4, 6, 8];
+  const SAFE_TILE_RADIUS = 3; // tiles from an enemy that count as unsafe
+  const DODGE_MAX_STEPS = 3; // farthest a dodge goes looking for a safe tile
+  const GUARD_RAISE_FRAMES = 20; // the shield goes up this many frames before a hit lands
+  const NEAR_BATTLER_RADIUS = 2;
+
+  const Pathfinder = {
+    _cache: new Map(), // character -> { gx, gy, range, path: [[x,y],...], frame }
+    _frame: 0,
+
+    clear() {
+      this._cache.clear();
+    },
+
+    tick() {
+      this._frame++;
+    },
+
+    // Static blockers: normal-priority events that are not tools or battlers.
+    isEventBlocked(x, y, ignore) {
+      return $gameMap.eventsXyNt(x, y).some(ev =>
+        ev !== ignore && ev.isNormalPriority() && !ev._tool.enabled && !ev.battler());
+    },
+
+    canStep(char, x, y, d, ignore, sx, sy) {
+      if (!char.isMapPassable(x, y, d)) return false;
+      const nx = $gameMap.roundXWithDirection(x, d);
+      const ny = $gameMap.roundYWithDirection(y, d);
+      if (!$gameMap.isValid(nx, ny)) return false;
+      if (this.isEventBlocked(nx, ny, ignore)) return false;
+      if ($gameMap.distance(sx, sy, nx, ny) <= NEAR_BATTLER_RADIUS) {
+        const b = ChronoCompat.battlerAt(nx, ny, char);
+        if (b && b !== ignore) return false;
+      }
+      return true;
+    },
+
+    // Returns the tile list from (excluding) the start to the first tile within
+    // `range` of the goal, or null when unreachable inside the search limit.
+    findPath(char, gx, gy, range, ignore) {
+      const sx = char.x;
+      const sy = char.y;
+      const key = (x, y) => y * $gameMap.width() + x;
+      const h = (x, y) => $gameMap.distance(x, y, gx, gy);
+
+      const open = [{ x: sx, y: sy, g: 0, f: h(sx, sy), parent: null }];
+      const gScore = new Map([[key(sx, sy), 0]]);
+      const closed = new Set();
+      let expanded = 0;
+
+      while (open.length > 0 && expanded < CFG.pathSearchLimit) {
+        let bi = 0;
+        for (let i = 1; i < open.length; i++) if (open[i].f < open[bi].f) bi = i;
+        const cur = open.splice(bi, 1)[0];
+        const ck = key(cur.x, cur.y);
+        if (closed.has(ck)) continue;
+        closed.add(ck);
+        expanded++;
+
+        if (h(cur.x, cur.y) <= range) {
+          const path = [];
+          for (let n = cur; n && n.parent; n = n.parent) path.unshift([n.x, n.y]);
+          return path;
+        }
+
+        for (const d of DIRS) {
+          if (!this.canStep(char, cur.x, cur.y, d, ignore, sx, sy)) continue;
+          const nx = $gameMap.roundXWithDirection(cur.x, d);
+          const ny = $gameMap.roundYWithDirection(cur.y, d);
+          const nk = key(nx, ny);
+          const g = cur.g + 1;
+          if (closed.has(nk) || (gScore.has(nk) && gScore.get(nk) <= g)) continue;
+          gScore.set(nk, g);
+          open.push({ x: nx, y: ny, g, f: g + h(nx, ny), parent: cur });
+        }
+      }
+      return null;
+    },
+
+    // Cached path for char toward (gx,gy); re-planned when stale, when the goal
+    // moved, or when the character drifted off the path.
+    pathFor(char, gx, gy, range, ignore) {
+      const c = this._cache.get(char);
+      const valid = c && c.range === range &&
+        $gameMap.distance(c.gx, c.gy, gx, gy) <= 1 &&
+        (this._frame - c.frame) < CFG.pathRepathFrames &&
+        c.path.length > 0 &&
+        $gameMap.distance(char.x, char.y, c.path[0][0], c.path[0][1]) === 1;
+      if (valid) return c.path;
+
+      const path = this.findPath(char, gx, gy, range, ignore);
+      if (!path) {
+        this._cache.delete(char);
+        return null;
+      }
+      this._cache.set(char, { gx, gy, range, path, frame: this._frame });
+      return path;
+    },
+
+    directionTo(char, x, y) {
+      for (const d of DIRS) {
+        if ($gameMap.roundXWithDirection(char.x, d) === x &&
+            $gameMap.roundYWithDirection(char.y, d) === y) return d;
+      }
+      return 0;
+    },
+
+    // Moves char one tile toward the goal. Returns false when already within
+    // range or no path could be found (caller decides the fallback).
+    stepToward(char, gx, gy, range, ignore) {
+      if ($gameMap.distance(char.x, char.y, gx, gy) <= range) {
+        this._cache.delete(char);
+        return false;
+      }
+
+      let path = this.pathFor(char, gx, gy, range, ignore);
+      if (!path || path.length === 0) return false;
+
+      let d = this.directionTo(char, path[0][0], path[0][1]);
+      if (!d || !this.canStep(char, char.x, char.y, d, ignore, char.x, char.y)) {
+        // Blocked since planning: re-plan once from here.
+        this._cache.delete(char);
+        path = this.pathFor(char, gx, gy, range, ignore);
+        if (!path || path.length === 0) return false;
+        d = this.directionTo(char, path[0][0], path[0][1]);
+        if (!d) return false;
+      }
+
+      char.moveStraight(d);
+      if (char.isMovementSucceeded()) path.shift();
+      return true;
+    },
+  };
+
+  ROA.ChronoPartyAI.Pathfinder = Pathfinder;
+
+  // ------------------------------------------------------------
+  // Threat (per-enemy aggro tables)
+  // ------------------------------------------------------------
+  const THREAT_LEAVE_FRAMES = 180;
+
+  const Threat = {
+    _tables: new Map(), // enemy character -> { entries: Map(actorId -> threat), awayFrames }
+    _frame: 0,
+
+    clear() {
+      this._tables.clear();
+    },
+
+    tableFor(enemyChar, create) {
+      let t = this._tables.get(enemyChar);
+      if (!t && create) {
+        t = { entries: new Map(), awayFrames: 0 };
+        this._tables.set(enemyChar, t);
+      }
+      return t || null;
+    },
+
+    rateFor(actorId) {
+      const a = $gameActors.actor(actorId);
+      return a ? actorAiConfig(a).threatRate / 100 : 1;
+    },
+
+    add(enemyChar, actorId, amount) {
+      if (!enemyChar || !actorId || !(amount > 0)) return;
+      const t = this.tableFor(enemyChar, true);
+      t.entries.set(actorId, (t.entries.get(actorId) || 0) + amount * this.rateFor(actorId));
+      t.awayFrames = 0;
+    },
+
+    // Fixed threat on top of the current leader, so a taunt always grabs the enemy.
+    taunt(enemyChar, actorId, amount) {
+      if (!enemyChar || !actorId) return;
+      const t = this.tableFor(enemyChar, true);
+      const top = Math.max(0, ...t.entries.values());
+      t.entries.set(actorId, top + amount);
+      t.awayFrames = 0;
+    },
+
+    // Healing threat is split across every enemy already fighting the party.
+    addHealing(actorId, amount) {
+      if (!actorId || !(amount > 0)) return;
+      const engaged = [...this._tables.keys()];
+      if (engaged.length === 0) return;
+      const share = amount * (CFG.healThreatRate / 100) / engaged.length;
+      for (const e of engaged) this.add(e, actorId, share);
+    },
+
+    // Sorted [{ actorId, threat }], highest first.
+    table(enemyChar) {
+      const t = this.tableFor(enemyChar, false);
+      if (!t) return [];
+      return [...t.entries.entries()]
+        .map(([actorId, threat]) => ({ actorId, threat }))
+        .sort((a, b) => b.threat - a.threat);
+    },
+
+    threatOf(enemyChar, actorId) {
+      const t = this.tableFor(enemyChar, false);
+      return t ? (t.entries.get(actorId) || 0) : 0;
+    },
+
+    topActorId(enemyChar) {
+      for (const row of this.table(enemyChar)) {
+        const a = $gameActors.actor(row.actorId);
+        if (a && !a.isDead() && $gameParty.members().includes(a)) return row.actorId;
+      }
+      return 0;
+    },
+
+    topTarget(enemyChar) {
+      const id = this.topActorId(enemyChar);
+      return id ? ChronoCompat.characterForActorId(id) : null;
+    },
+
+    reset(enemyChar) {
+      this._tables.delete(enemyChar);
+    },
+
+    update() {
+      this._frame++;
+      const decay = this._frame % 60 === 0 ? (1 - CFG.threatDecayRate / 100) : 1;
+      const party = $gameMap.players();
+
+      for (const [enemyChar, t] of this._tables) {
+        const battler = enemyChar.battler();
+        if (enemyChar._erased || !battler || battler.isDead()) {
+          this._tables.delete(enemyChar);
+          continue;
+        }
+
+        const near = party.some(c => ChronoCompat.distTiles(c, enemyChar) <= CFG.threatResetRange);
+        t.awayFrames = near ? 0 : t.awayFrames + 1;
+        if (t.awayFrames >= THREAT_LEAVE_FRAMES) {
+          this._tables.delete(enemyChar);
+          continue;
+        }
+
+        if (decay !== 1) {
+          for (const [actorId, v] of t.entries) {
+            const nv = v * decay;
+            if (nv < 1) t.entries.delete(actorId);
+            else t.entries.set(actorId, nv);
+          }
+        }
+      }
+    },
+
+    // Fed from ToolEvent.executeDamage() after Chrono applied the action.
+    onToolDamage(userChar, targetBattler, item) {
+      const user = userChar && userChar.battler();
+      if (!user || !targetBattler || !item) return;
+      const result = targetBattler.result();
+      if (!result || !result.isHitCR()) return;
+
+      if (user.isActor() && targetBattler.isEnemy()) {
+        const enemyChar = ChronoCompat.characterForBattler(targetBattler);
+        const taunt = Number(parseTagValue(item.note || "", "Taunt") || 0);
+        if (taunt > 0) this.taunt(enemyChar, user.actorId(), taunt);
+        this.add(enemyChar, user.actorId(), Math.max(result.hpDamage, 0) + Math.max(result.mpDamage, 0));
+      } else if (user.isActor() && targetBattler.isActor() && result.hpDamage < 0) {
+        this.addHealing(user.actorId(), -result.hpDamage);
+      }
+    },
+  };
+
+  ROA.ChronoPartyAI.Threat = Threat;
+
+  // ------------------------------------------------------------
+  // Party bodies (PartyBodyMode "custom")
+  // ------------------------------------------------------------
+  // A map character for one AI actor, injected into $gameMap._events the same
+  // way Chrono adds ToolEvents, so it gets a sprite, collisions and knockback.
+  class Game_PartyBody extends Game_Event {
+    initialize(mapId, eventId, actorId, x, y) {
+      this._actorId = actorId;
+      this._bodyData = PartyBodies.eventData(eventId, actorId, x, y);
+      super.initialize(mapId, eventId);
+      this._user.isEvent = false;
+      this._user.isPlayer = true;
+      this._tool.addSprite = true;
+      if (this._poses) this._poses.enabled = true;
+      this.refreshBody();
+    }
+
+    event() { return this._bodyData; }
+    actor() { return $gameActors.actor(this._actorId); }
+    isVisible() { return !this._erased; }
+
+    // Always the live Game_Actor (a saved copy of the battler would be a stale duplicate).
+    battler() { return this.actor(); }
+
+    refreshBody() {
+      const actor = this.actor();
+      this._user.battler = actor;
+      if (!actor) return;
+      this._user.diagonal = actor._ras.diagonal;
+      actor.refreshToolIds();
+      const image = `${actor.characterName()}:${actor.characterIndex()}`;
+      if (this._bodyImage !== image) {
+        this._bodyImage = image;
+        this.setImage(actor.characterName(), actor.characterIndex());
+      }
+    }
+
+    update() {
+      if (this._user.battler !== this.actor()) this.refreshBody();
+      this.setMoveSpeed($gamePlayer.realMoveSpeed());
+      this.setTransparent($gamePlayer.isTransparent());
+      super.update();
+    }
+  }
+
+  // Global so the bodies in $gameMap._events survive JsonEx save/load.
+  window.Game_PartyBody = Game_PartyBody;
+
+  const PartyBodies = {
+    _lastKey: null,
+
+    isActive() {
+      return CFG.enabled && CFG.partyBodyMode === "custom";
+    },
+
+    bodies() {
+      return $gameMap._events.filter(ev => ev instanceof Game_PartyBody && !ev._erased && !ev._tool.removeSprite);
+    },
+
+    bodyFor(actorId) {
+      return this.bodies().find(b => b._actorId === actorId) || null;
+    },
+
+    // Non-leader battle members that should have a body (AI-enabled).
+    wantsBody(actor) {
+      if (!actor || actor === $gameParty.leader()) return false;
+      return actorAiEnabled(actor);
+    },
+
+    eventData(eventId, actorId, x, y) {
+      const actor = $gameActors.actor(actorId);
+      return {
+        id: eventId, name: `ChronoAI Body ${actorId}`, note: "", meta: {}, x, y,
+        pages: [{
+          conditions: {
+            actorId: 1, actorValid: false, itemId: 1, itemValid: false,
+            selfSwitchCh: "A", selfSwitchValid: false,
+            switch1Id: 1, switch1Valid: false, switch2Id: 1, switch2Valid: false,
+            variableId: 1, variableValid: false, variableValue: 0,
+          },
+          directionFix: false,
+          image: { tileId: 0, characterName: actor.characterName(), characterIndex: actor.characterIndex(), direction: $gamePlayer.direction(), pattern: 1 },
+          list: [{ code: 0, indent: 0, parameters: [] }],
+          moveFrequency: 3,
+          moveRoute: { list: [{ code: 0, parameters: [] }], repeat: true, skippable: false, wait: false },
+          moveSpeed: 4,
+          moveType: 0,
+          priorityType: 1,
+          stepAnime: false,
+          through: false,
+          trigger: 0,
+          walkAnime: true,
+        }],
+      };
+    },
+
+    // Closest free tile around the leader (ring search), else the leader's own tile.
+    spawnTile() {
+      const px = $gamePlayer.x;
+      const py = $gamePlayer.y;
+      for (let r = 1; r <= 3; r++) {
+        for (let dy = -r; dy <= r; dy++) {
+          for (let dx = -r; dx <= r; dx++) {
+            if (Math.abs(dx) + Math.abs(dy) !== r) continue;
+            const x = px + dx;
+            const y = py + dy;
+            if (!$gameMap.isValid(x, y)) continue;
+            if (!DIRS.some(d => $gameMap.isPassable(x, y, d))) continue;
+            if ($gameMap.eventsXyNt(x, y).some(ev => ev.isNormalPriority())) continue;
+            if (ChronoCompat.battlerAt(x, y, null)) continue;
+            return { x, y };
+          }
+        }
+      }
+      return { x: px, y: py };
+    },
+
+    spawn(actorId) {
+      const pos = this.spawnTile();
+      const eventId = $gameMap._events.length;
+      const body = new Game_PartyBody($gameMap.mapId(), eventId, actorId, pos.x, pos.y);
+      $gameMap._events.push(body);
+      $gameSystem._eventDataToolRequestAddSprite = true;
+      log("Party body spawned for actorId", actorId, pos.x, pos.y);
+      return body;
+    },
+
+    // Uses Chrono's tool removal path (sprite + $gameMap._events entry).
+    despawn(body) {
+      body._tool.removeSprite = true;
+      $gameSystem._eventDataToolRequestRemoveSprite = true;
+      log("Party body removed for actorId", body._actorId);
+    },
+
+    sync() {
+      if (!this.isActive() || !$gameParty.leader()) return;
+      const wanted = $gameParty.battleMembers().filter(a => this.wantsBody(a)).map(a => a.actorId());
+
+      for (const body of this.bodies()) {
+        if (!wanted.includes(body._actorId)) this.despawn(body);
+      }
+      for (const actorId of wanted) {
+        if (!this.bodyFor(actorId)) this.spawn(actorId);
+      }
+
+      // Followers skip actors with a body; rebuild them when that set changes.
+      const key = wanted.join(",");
+      if (key !== this._lastKey) {
+        this._lastKey = key;
+        $gamePlayer.refresh();
+      }
+    },
+
+    reset() {
+      this._lastKey = null;
+    },
+  };
+
+  ROA.ChronoPartyAI.PartyBodies = PartyBodies;
 
   // ------------------------------------------------------------
   // Blackboard (shared caches)
   // ------------------------------------------------------------
+  const LEADER_TARGET_MEMORY = 600; // frames the leader's target is remembered without new hits / aiming
+
   class Blackboard {
     constructor() {
       this._frame = 0;
@@ -363,6 +2185,25 @@
       this.enemies = [];
       this.combatActive = false;
       this.combatStartFrame = 0;
+      this.leaderTarget = null; // enemy character the leader last hit or aimed at
+      this._leaderTargetFrame = 0;
+      this.hostileTools = []; // live enemy tool events (dodging)
+    }
+
+    noteLeaderTarget(enemyChar) {
+      if (!enemyChar) return;
+      this.leaderTarget = enemyChar;
+      this._leaderTargetFrame = this._frame;
+    }
+
+    updateLeaderTarget() {
+      this.noteLeaderTarget(ChronoCompat.leaderCursorTarget());
+      const t = this.leaderTarget;
+      if (!t) return;
+      const b = t.battler();
+      if (!b || b.isDead() || t._erased || this._frame - this._leaderTargetFrame > LEADER_TARGET_MEMORY) {
+        this.leaderTarget = null;
+      }
     }
 
     update() {
@@ -386,9 +2227,286 @@
       } else if (!active) {
         this.combatActive = false;
       }
+
+      this.updateLeaderTarget();
+      this.hostileTools = ChronoCompat.enemyToolEvents();
     }
   }
 
+  // ------------------------------------------------------------
+  // Gambits (ordered condition -> action -> target rules per actor)
+  // ------------------------------------------------------------
+  const GAMBIT_OPS = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    "=": (a, b) => a === b,
+    "!=": (a, b) => a !== b,
+    ">=": (a, b) => a >= b,
+    ">": (a, b) => a > b,
+  };
+  const GAMBIT_SUBJECTS = ["SELF", "LEADER", "ALLY", "ENEMY"];
+  const GAMBIT_TOOL_KEYS = {
+    TOOLATTACK: "toolAttack",
+    TOOLDEFEND: "toolDefend",
+    TOOLHEAL: "toolHeal",
+    TOOLBUFF: "toolBuff",
+    TOOLFALLBACK: "toolFallback",
+    TOOLREVIVE: "toolRevive",
+  };
+
+  const Gambits = {
+    parse(lines) {
+      const rules = [];
+      for (const line of lines) {
+        const rule = this.parseRule(line);
+        if (rule) rules.push(rule);
+        else log(`Gambit ignored (cannot parse): "${line}"`);
+      }
+      return rules;
+    },
+
+    parseRule(line) {
+      const parts = line.split("->").map(p => p.trim());
+      if (parts.length < 2 || parts.length > 3) return null;
+      const cond = this.parseCondition(parts[0]);
+      const action = this.parseAction(parts[1]);
+      const target = parts[2] ? parts[2].toUpperCase() : null;
+      if (!cond || !action) return null;
+      if (target && !GAMBIT_SUBJECTS.includes(target)) return null;
+      return { text: line, cond, action, target: target || cond.subject };
+    },
+
+    parseCondition(text) {
+      if (/^always$/i.test(text)) return { subject: "SELF", kind: "ALWAYS" };
+
+      let m = text.match(/^(\w+)\s+(HP|MP|TP|Distance|Count)\s*(<=|>=|!=|<|>|=)\s*(-?\d+(?:\.\d+)?)\s*(%?)$/i);
+      if (m && GAMBIT_SUBJECTS.includes(m[1].toUpperCase())) {
+        return {
+          subject: m[1].toUpperCase(),
+          kind: "STAT",
+          stat: m[2].toUpperCase(),
+          op: m[3],
+          value: Number(m[4]),
+          rate: m[5] === "%",
+        };
+      }
+
+      m = text.match(/^(\w+)\s+(Casting|State|NotState|Type)\s*(\w*)$/i);
+      if (m && GAMBIT_SUBJECTS.includes(m[1].toUpperCase())) {
+        const kind = m[2].toUpperCase();
+        if (kind !== "CASTING" && !m[3]) return null;
+        const arg = kind === "TYPE" ? m[3].toUpperCase() : Number(m[3] || 0);
+        return { subject: m[1].toUpperCase(), kind, arg };
+      }
+
+      return null;
+    },
+
+    parseAction(text) {
+      const key = text.replace(/\s+/g, "").toUpperCase();
+      if (GAMBIT_TOOL_KEYS[key]) return { kind: "TOOL", cfgKey: GAMBIT_TOOL_KEYS[key] };
+      const m = text.match(/^Tool\s+(\d+)$/i);
+      if (m) return { kind: "TOOL", toolId: Number(m[1]) };
+      if (key === "RETREAT" || key === "FOLLOW") return { kind: key };
+      return null;
+    },
+
+    // --- Evaluation ---
+    actorUnit(actor) {
+      const char = actor ? ChronoCompat.characterForActorId(actor.actorId()) : null;
+      return char ? { battler: actor, char } : null;
+    },
+
+    candidates(subject, ctrl) {
+      const ch = ctrl.char();
+      if (subject === "SELF") return [this.actorUnit(ctrl.actor())].filter(Boolean);
+      if (subject === "LEADER") return [this.actorUnit($gameParty.leader())].filter(Boolean);
+      if (subject === "ALLY") {
+        return $gameParty.members()
+          .filter(a => !a.isDead())
+          .map(a => this.actorUnit(a))
+          .filter(Boolean);
+      }
+      return ctrl.bb.enemies
+        .filter(e => e.battler() && !e.battler().isDead() && !e._roaEnemyAvoid)
+        .filter(e => ChronoCompat.distTiles(ch, e) <= ctrl.cfg.aggro)
+        .map(e => ({ battler: e.battler(), char: e }));
+    },
+
+    statValue(cond, unit, ctrl) {
+      const b = unit.battler;
+      switch (cond.stat) {
+        case "HP": return cond.rate ? b.hpRate() * 100 : b.hp;
+        case "MP": return cond.rate ? (b.mmp > 0 ? b.mpRate() * 100 : 0) : b.mp;
+        case "TP": return b.tp;
+        case "DISTANCE": return ChronoCompat.distTiles(ctrl.char(), unit.char);
+      }
+      return 0;
+    },
+
+    // Unit the condition matched, or null.
+    match(cond, ctrl) {
+      const units = this.candidates(cond.subject, ctrl);
+      if (cond.kind === "ALWAYS") return units[0] || null;
+
+      if (cond.kind === "STAT" && cond.stat === "COUNT") {
+        if (!GAMBIT_OPS[cond.op](units.length, cond.value)) return null;
+        return this.pick(cond.subject, units, ctrl);
+      }
+
+      let hits;
+      if (cond.kind === "STAT") {
+        hits = units.filter(u => GAMBIT_OPS[cond.op](this.statValue(cond, u, ctrl), cond.value));
+        // Most extreme unit first: lowest for "below" checks, highest for "above".
+        if (cond.op[0] === "<" || cond.op[0] === ">") {
+          const dir = cond.op[0] === "<" ? 1 : -1;
+          hits.sort((a, b) => dir * (this.statValue(cond, a, ctrl) - this.statValue(cond, b, ctrl)));
+          return hits[0] || null;
+        }
+      } else if (cond.kind === "CASTING") {
+        hits = units.filter(u => u.char.isCasting());
+      } else if (cond.kind === "STATE") {
+        hits = units.filter(u => u.battler.isStateAffected(cond.arg));
+      } else if (cond.kind === "NOTSTATE") {
+        hits = units.filter(u => !u.battler.isStateAffected(cond.arg));
+      } else if (cond.kind === "TYPE") {
+        hits = units.filter(u => u.char._roaEnemyType === cond.arg);
+      } else {
+        return null;
+      }
+      return this.pick(cond.subject, hits, ctrl);
+    },
+
+    // Enemies as the controller's role would pick them, everyone else nearest first.
+    pick(subject, units, ctrl) {
+      if (subject !== "ENEMY") return this.nearest(units, ctrl);
+      const e = ctrl.bestEnemyIn(units.map(u => u.char));
+      return units.find(u => u.char === e) || null;
+    },
+
+    nearest(units, ctrl) {
+      const ch = ctrl.char();
+      let best = null;
+      let bestD = 9999;
+      for (const u of units) {
+        const d = ChronoCompat.distTiles(ch, u.char);
+        if (d < bestD) { bestD = d; best = u; }
+      }
+      return best;
+    },
+
+    // Unit the rule acts on: the matched unit when sides agree, else a sensible pick.
+    resolveTarget(rule, matched, ctrl) {
+      // Retreat runs from an enemy; on Self (the default for Self rules) from the nearest one.
+      if (rule.action.kind === "RETREAT" && rule.target === "SELF") return this.nearest(this.candidates("ENEMY", ctrl), ctrl);
+      if (rule.target === rule.cond.subject) return matched;
+      if (rule.target === "SELF") return this.actorUnit(ctrl.actor());
+      if (rule.target === "LEADER") return this.actorUnit($gameParty.leader());
+      if (rule.target === "ALLY") {
+        const low = ctrl.lowestHpAlly();
+        return low ? this.actorUnit($gameActors.actor(low.actorId)) : null;
+      }
+      return this.pick("ENEMY", this.candidates("ENEMY", ctrl), ctrl);
+    },
+
+    // First rule whose condition matches and whose action is usable right now.
+    // toolsOnly skips Retreat/Follow rules (Chrono mode has no movement).
+    evaluate(ctrl, toolsOnly = false) {
+      for (const rule of ctrl.cfg.gambits) {
+        if (toolsOnly && rule.action.kind !== "TOOL") continue;
+        const matched = this.match(rule.cond, ctrl);
+        if (!matched) continue;
+        const target = this.resolveTarget(rule, matched, ctrl);
+        if (!target) continue;
+        if (!ctrl.canPerformGambit(rule, target)) continue;
+        return { rule, target };
+      }
+      return null;
+    },
+  };
+
+  ROA.ChronoPartyAI.Gambits = Gambits;
+
+  // ------------------------------------------------------------
+  // Target scoring (utility per role, pluggable)
+  // ------------------------------------------------------------
+  // Pick bonus (in tiles of distance) a role gives each enemy type.
+  const ROLE_TARGET_BONUS = {
+    RANGED: { CASTER: 4, HEALER: 4, RANGED: 3 },
+    MELEE: { HEALER: 3, CASTER: 3, SWARM: 1 },
+    TANK: { BOSS: 4, ELITE: 3 },
+    HEALER: {},
+  };
+
+  // Weight per consideration; one point of utility is worth one tile of distance.
+  const ROLE_TARGET_WEIGHTS = {
+    RANGED: { distance: 1, hp: 2, type: 1, priority: 1, threat: 2, casting: 4, knockback: 1, sticky: 2 },
+    MELEE: { distance: 1, hp: 3, type: 1, priority: 1, threat: 2, casting: 3, knockback: -2, sticky: 2 },
+    TANK: { distance: 1, hp: 0, type: 1, priority: 1, threat: 4, casting: 2, knockback: -2, sticky: 3 },
+    HEALER: { distance: 1, hp: 1, type: 1, priority: 1, threat: 3, casting: 2, knockback: 0, sticky: 2 },
+  };
+
+  const TargetScorer = {
+    roleWeights: ROLE_TARGET_WEIGHTS,
+
+    // name -> (ctrl, enemyChar, role) => value. Add an entry plus a weight
+    // (roleWeights or <ChronoAI TargetWeights>) to plug in a new consideration.
+    considerations: {
+      distance: (ctrl, e) => -ChronoCompat.distTiles(ctrl.char(), e),
+      hp: (ctrl, e) => (e.battler() ? 1 - e.battler().hpRate() : 0),
+      type: (ctrl, e, role) => (ROLE_TARGET_BONUS[role] || {})[e._roaEnemyType] || 0,
+      priority: (ctrl, e) => e._roaEnemyPriority || 0,
+      threat: (ctrl, e) => {
+        // on somebody else in the party
+        const top = Threat.topActorId(e);
+        return top && top !== ctrl.actorId ? 1 : 0;
+      },
+      casting: (ctrl, e) => (e.isCasting() ? 1 : 0),
+      knockback: (ctrl, e) => (e.isKnockbacking() ? 1 : 0),
+      sticky: (ctrl, e) => (e === ctrl._target ? 1 : 0),
+      leader: (ctrl, e) => (e === ctrl.bb.leaderTarget ? 1 : 0),
+    },
+
+    // "hp: 5" lines -> { hp: 5 }
+    parse(lines) {
+      const weights = {};
+      for (const line of lines) {
+        const m = line.match(/^(\w+)\s*:\s*(-?\d+(?:\.\d+)?)$/);
+        if (m) weights[m[1].toLowerCase()] = Number(m[2]);
+        else log(`Target weight ignored (cannot parse): "${line}"`);
+      }
+      return weights;
+    },
+
+    weights(ctrl, role) {
+      return Object.assign({}, this.roleWeights[role] || this.roleWeights.MELEE, ctrl.cfg.targetWeights);
+    },
+
+    score(ctrl, e, role, weights = this.weights(ctrl, role)) {
+      let s = 0;
+      for (const key in weights) {
+        const fn = this.considerations[key];
+        if (fn && weights[key]) s += weights[key] * fn(ctrl, e, role);
+      }
+      return s;
+    },
+
+    // Highest-utility enemy of `pool`; <ChronoAI Avoid> enemies are never picked.
+    best(ctrl, pool, role) {
+      const weights = this.weights(ctrl, role);
+      let best = null;
+      let bestScore = -Infinity;
+      for (const e of pool || []) {
+        if (e._roaEnemyAvoid) continue;
+        const score = this.score(ctrl, e, role, weights);
+        if (score > bestScore) { bestScore = score; best = e; }
+      }
+      return best;
+    },
+  };
+
+  ROA.ChronoPartyAI.TargetScorer = TargetScorer;
+
   // ------------------------------------------------------------
   // Controller per actor
   // ------------------------------------------------------------
@@ -399,10 +2517,13 @@
     HEALER: "HEALER",
   };
 
+  const ITEM_USE_COOLDOWN = 90; // frames between item uses of one actor, so effects land first
+
   const Stances = {
     AGGRESSIVE: "AGGRESSIVE",
     DEFENSIVE: "DEFENSIVE",
     HOLD: "HOLD",
+    ASSIST: "ASSIST",
   };
 
   class Controller {
@@ -419,6 +2540,15 @@
       this._buffedThisCombat = {};     // actorId -> true
       this._buffQueue = [];            // array actorIds in priority order
       this._combatStartFrameSeen = 0;  // to reset per combat
+      this._itemReadyFrame = 0;        // no item use before this blackboard frame
+      this._pendingItem = null;        // { toolId, item } queued, charged to the budget once it starts
+
+      // tool pipeline feedback
+      this._toolBackoff = {};          // toolId -> frame until which we don't retry
+
+      // dodging
+      this._dodging = false;
+      this._dodgeRolls = new WeakMap(); // tool event -> noticed it (rolled once)
     }
 
     actor() { return $gameActors.actor(this.actorId); }
@@ -434,7 +2564,22 @@
 
       const ch = this.char();
       const ac = this.actor();
-      if (!ch || !ac) return;
+      if (!ch || !ac || ac.isDead()) return;
+
+      // Chrono mode battles position the party themselves; orders go through ChronoTurns.
+      if ($gameSystem.isChronoMode()) return;
+
+      // Let Chrono finish casts/poses/knockback before issuing new orders.
+      if (ChronoCompat.isBusy(ch)) return;
+
+      // Shield up against incoming enemy tools or step out of them, every
+      // frame; the role resumes once clear.
+      if (this.bb.hostileTools.length > 0 && this.cfg.dodge > 0) {
+        const incoming = this.incomingTools();
+        if (this.thinkGuard(incoming) || this.thinkDodge(incoming)) return;
+      } else if (ChronoCompat.isGuarding(ch)) {
+        ChronoCompat.setGuard(ch, false);
+      }
 
       if (this._thinkCd-- > 0) return;
       this._thinkCd = CFG.thinkInterval;
@@ -453,6 +2598,12 @@
         this._combatStartFrameSeen = 0;
       }
 
+      // Gambits take priority over the role script while not recovering to the leader.
+      if (this._state !== "RECOVER" && this.cfg.gambits.length > 0 && this.thinkGambits()) return;
+
+      // Then consumables (HP/MP thresholds), ahead of the role script.
+      if (this._state !== "RECOVER" && this.thinkItems()) return;
+
       switch (this._state) {
         case "FOLLOW": return this.thinkFollow();
         case "ACQUIRE": return this.thinkAcquire();
@@ -465,6 +2616,67 @@
       }
     }
 
+    // -------------------------
+    // Dodging / guarding
+    // -------------------------
+    // Noticed enemy tools: all tiles they will hit, and the hits on this member's tile.
+    incomingTools() {
+      const ch = this.char();
+      const here = `${ch.x},${ch.y}`;
+      const danger = new Map(); // "x,y" -> first hit frame
+      const hits = [];          // { ev, frame }
+      for (const ev of this.bb.hostileTools) {
+        if (!this.noticedTool(ev)) continue;
+        if (!ev._tool.multihit && ev._collided && ev._collided.includes(ch)) continue;
+        const tiles = ChronoCompat.toolDangerTiles(ev, CFG.dodgeLookahead);
+        for (const [key, frame] of tiles) {
+          if (!danger.has(key) || danger.get(key) > frame) danger.set(key, frame);
+        }
+        if (tiles.has(here)) hits.push({ ev, frame: tiles.get(here) });
+      }
+      hits.sort((a, b) => a.frame - b.frame);
+      return { danger, hits };
+    }
+
+    // TANK / MELEE with a shield: raise it toward the first guardable hit and
+    // hold it while one is coming; dropped as soon as none is, so the role
+    // can strike back. True while guarding.
+    thinkGuard(incoming) {
+      const ch = this.char();
+      const guarding = ChronoCompat.isGuarding(ch);
+      const role = this.role();
+      const hit = (role === Roles.TANK || role === Roles.MELEE)
+        ? incoming.hits.find(h => ChronoCompat.canGuardAgainst(h.ev))
+        : null;
+      if (!hit || (!guarding && hit.frame > GUARD_RAISE_FRAMES) || !ChronoCompat.canGuard(ch)) {
+        if (guarding) ChronoCompat.setGuard(ch, false);
+        return false;
+      }
+      ChronoCompat.setGuard(ch, true, hit.ev);
+      return true;
+    }
+
+    // True while stepping out of a predicted enemy tool hit.
+    thinkDodge(incoming) {
+      const ch = this.char();
+      if (ch.isMoving()) return this._dodging;
+      this._dodging = false;
+      if (incoming.hits.length === 0 || !ch.canMove()) return false;
+
+      // no way out in time: keep fighting
+      const d = ChronoCompat.dodgeDirection(ch, incoming.danger);
+      if (!d) return false;
+      ch.moveStraight(d);
+      this._dodging = ch.isMovementSucceeded();
+      return this._dodging;
+    }
+
+    // Dodge is rolled once per incoming tool.
+    noticedTool(ev) {
+      if (!this._dodgeRolls.has(ev)) this._dodgeRolls.set(ev, Math.random() * 100 < this.cfg.dodge);
+      return this._dodgeRolls.get(ev);
+    }
+
     // -------------------------
     // States
     // -------------------------
@@ -475,23 +2687,60 @@
         return;
       }
 
-      // If combat active, acquire targets
-      if (this.bb.combatActive) {
+      // If combat active, acquire targets around the anchor (or the leader's)
+      if ((this.bb.combatActive && this.engageableEnemies().length > 0) || this.assistTarget(this.role())) {
         this._state = "ACQUIRE";
         return;
       }
 
-      // Stay near player
+      this.moveToSlot();
+    }
+
+    // Formation slot: the walking position outside combat, the anchor stances orbit in combat.
+    anchorTile() {
+      return Formations.slotTile(this.actorId, this.bb.combatActive);
+    }
+
+    orbitRadius() {
+      return this.cfg.stance === Stances.DEFENSIVE ? FORMATION_DEFENSIVE_RADIUS : this.cfg.aggro;
+    }
+
+    engageableEnemies() {
+      const a = this.anchorTile();
+      if (!a) return this.bb.enemies;
+      const r = this.orbitRadius();
+      return this.bb.enemies.filter(e => $gameMap.distance(a.x, a.y, e.x, e.y) <= r);
+    }
+
+    moveToSlot() {
       const ch = this.char();
-      const d = ChronoCompat.distTiles(ch, $gamePlayer);
-      if (d > 2) ChronoCompat.moveToward(ch, $gamePlayer);
+      if (ch.isMoving()) return;
+      const a = this.anchorTile();
+      if (!a) {
+        // no slot left: stay near player
+        if (ChronoCompat.distTiles(ch, $gamePlayer) > 2) ChronoCompat.moveToward(ch, $gamePlayer, 2);
+        return;
+      }
+      if (ch.x === a.x && ch.y === a.y) {
+        if (!this.bb.combatActive) ch.setDirection($gamePlayer.direction());
+        return;
+      }
+      if (!ChronoCompat.moveToTile(ch, a.x, a.y) && ChronoCompat.distTiles(ch, $gamePlayer) > 2) {
+        ChronoCompat.moveToward(ch, $gamePlayer, 2);
+      }
     }
 
     thinkHold() {
+      // Stance may have been changed at runtime (plugin command)
+      if (this.cfg.stance !== Stances.HOLD) {
+        this._state = "FOLLOW";
+        return;
+      }
+
       // Hold position, but defend if enemy is close
       const ch = this.char();
       const enemies = this.bb.enemies;
-      const close = enemies.find(e => ChronoCompat.distTiles(ch, e) <= 3);
+      const close = enemies.find(e => !e._roaEnemyAvoid && ChronoCompat.distTiles(ch, e) <= 3);
       if (close) {
         this._target = close;
         this._state = "ACT";
@@ -500,7 +2749,7 @@
 
     thinkRecover() {
       const ch = this.char();
-      ChronoCompat.moveToward(ch, $gamePlayer);
+      ChronoCompat.moveToward(ch, $gamePlayer, 2);
       if (ChronoCompat.distTiles(ch, $gamePlayer) <= 3) {
         this._state = this.cfg.stance === Stances.HOLD ? "HOLD" : "FOLLOW";
       }
@@ -534,32 +2783,168 @@
     }
 
     // -------------------------
-    // Target picking
+    // Gambits
     // -------------------------
-    pickTarget(role) {
+    thinkGambits() {
+      const pick = Gambits.evaluate(this);
+      if (!pick) return false;
+      log(`Gambit ${this.actorId}: ${pick.rule.text}`);
+      this.performGambit(pick.rule, pick.target);
+      return true;
+    }
+
+    gambitToolId(action) {
+      return action.cfgKey ? this.cfg[action.cfgKey] : action.toolId;
+    }
+
+    canPerformGambit(rule, target) {
+      if (rule.action.kind !== "TOOL") return true;
+      const toolId = this.gambitToolId(rule.action);
+      if (!toolId) return false;
+      if ((this._toolBackoff[toolId] || 0) > this.bb._frame) return false;
+      if (ChronoCompat.isBusy(this.char())) return false;
+      const b = target && target.battler;
+      const emergency = rule.action.cfgKey === "toolHeal" && b && b.isActor() && b.hpRate() * 100 <= CFG.healerCriticalThreshold;
+      return this.canAfford(toolId, emergency);
+    }
+
+    performGambit(rule, target) {
       const ch = this.char();
-      const enemies = this.bb.enemies;
-      if (!enemies || enemies.length === 0) return null;
+      const action = rule.action;
+
+      if (action.kind === "RETREAT") {
+        if (target.char !== ch) ChronoCompat.moveAway(ch, target.char);
+        return;
+      }
+      if (action.kind === "FOLLOW") {
+        ChronoCompat.moveToward(ch, $gamePlayer, 2);
+        return;
+      }
 
-      // RANGED: prioritize ranged enemies first; else nearest
-      if (role === Roles.RANGED) {
-        const ranged = enemies.filter(e => e._roaEnemyType === "RANGED");
-        const pool = (ranged.length > 0) ? ranged : enemies;
-        return this.nearestInPool(ch, pool);
+      const toolId = this.gambitToolId(action);
+      const support = action.cfgKey === "toolHeal" || action.cfgKey === "toolBuff" || action.cfgKey === "toolRevive";
+      const attack = !support && target.battler.isEnemy();
+      const role = this.role();
+      const range = (support || role === Roles.RANGED || role === Roles.HEALER) ? this.cfg.preferredRange : 1;
+      if (target.char !== ch) {
+        // attacks close in through attackWith(), which knows the tool's area
+        if (!attack && ChronoCompat.distTiles(ch, target.char) > range) {
+          ChronoCompat.moveToward(ch, target.char, range);
+          return;
+        }
+        if (range > 1 && !this.ensureSight(target.char, range)) return;
       }
 
-      // TANK/MELEE: default nearest (tank may override in actTank)
-      return this.nearestInPool(ch, enemies);
+      if (support && target.battler.isActor()) {
+        const override = action.cfgKey === "toolHeal" ? this.cfg.healSkillId
+          : action.cfgKey === "toolBuff" ? this.cfg.buffSkillId : 0;
+        if (this.useSupportTool(toolId, override, target.char, target.battler) && action.cfgKey === "toolBuff") {
+          this._buffedThisCombat[target.battler.actorId()] = true;
+        }
+      } else if (attack) {
+        this._target = target.char;
+        this.attackWith(toolId, target.char, range);
+      } else {
+        this.useTool(toolId, 0, target.char);
+      }
     }
 
-    nearestInPool(ch, pool) {
-      let best = null;
-      let bestD = 9999;
-      for (const e of pool) {
-        const d = ChronoCompat.distTiles(ch, e);
-        if (d < bestD) { bestD = d; best = e; }
+    // -------------------------
+    // Tool usage
+    // -------------------------
+    useTool(toolId, commandType, target, aim = target) {
+      if (!toolId) return false;
+      if ((this._toolBackoff[toolId] || 0) > this.bb._frame) return false;
+      const ok = ChronoCompat.tryUseTool(this.char(), toolId, commandType, target, aim);
+      if (!ok) this._toolBackoff[toolId] = this.bb._frame + CFG.thinkInterval * 2;
+      return ok;
+    }
+
+    // Cost check before choosing a tool. ReserveMP/ReserveTP hold back except
+    // for emergency heals.
+    canAfford(toolId, emergency = false) {
+      if (!toolId) return false;
+      const reserve = emergency ? null : { mp: this.cfg.reserveMP, tp: this.cfg.reserveTP };
+      return ChronoCompat.canAffordTool(this.char(), toolId, reserve);
+    }
+
+    // ToolAttack, else ToolFallback when ToolAttack can't be paid; 0 = neither.
+    attackToolId() {
+      if (this.canAfford(this.cfg.toolAttack)) return this.cfg.toolAttack;
+      if (this.canAfford(this.cfg.toolFallback)) return this.cfg.toolFallback;
+      return 0;
+    }
+
+    // Out of resources: stay out of reach and near the leader until they recover.
+    holdBack(target) {
+      const ch = this.char();
+      if (ChronoCompat.distTiles(ch, target) <= this.cfg.keepDistance) ChronoCompat.moveAway(ch, target);
+      else ChronoCompat.moveToward(ch, $gamePlayer, 2);
+    }
+
+    // Fire an attack tool only when its area would cover the target once the
+    // user turns to face it; otherwise close in to the tool's reach.
+    attackWith(toolId, target, reach = 1) {
+      const ch = this.char();
+      if (ChronoCompat.needsAlignment(toolId)) return this.attackAligned(toolId, target, reach);
+      if (ChronoCompat.toolWouldHit(ch, toolId, target, reach)) return this.useTool(toolId, 0, target);
+      const d = ChronoCompat.distTiles(ch, target);
+      let range = Math.min(reach, ChronoCompat.toolReach(toolId, reach));
+      if (d <= range) range = Math.max(d - 1, 1); // in reach but off the area's shape
+      ChronoCompat.moveToward(ch, target, range);
+      return false;
+    }
+
+    // Line, cross and projectile tools: line up on the row or column of the
+    // tile the target is heading for, then fire along it.
+    attackAligned(toolId, target, reach) {
+      const ch = this.char();
+      const aim = ChronoCompat.leadTile(target);
+      if (ChronoCompat.toolWouldHit(ch, toolId, target, reach, aim)) return this.useTool(toolId, 0, target, aim);
+      const range = Math.min(reach, ChronoCompat.toolReach(toolId, reach));
+      const tile = ChronoCompat.alignTileNear(ch, aim.x, aim.y, range);
+      if (tile) ChronoCompat.moveToTile(ch, tile.x, tile.y, 0);
+      else ChronoCompat.moveToward(ch, target, range);
+      return false;
+    }
+
+    // Reported back by ChronoCompat when the queued tool event was built.
+    onToolResult(toolId, ok) {
+      if (!ok) this._toolBackoff[toolId] = this.bb._frame + CFG.thinkInterval * 4;
+      const pending = this._pendingItem;
+      if (pending && pending.toolId === toolId) {
+        if (ok) ItemBudget.spend(pending.item);
+        this._pendingItem = null;
       }
-      return best;
+    }
+
+    // Ranged/support fire needs a clear line; otherwise walk to a tile that has one.
+    ensureSight(targetChar, range) {
+      const ch = this.char();
+      if (ChronoCompat.hasLineOfSight(ch, targetChar)) return true;
+      const tile = ChronoCompat.sightTileNear(ch, targetChar, range);
+      if (tile) ChronoCompat.moveToTile(ch, tile.x, tile.y, 0);
+      else ChronoCompat.moveToward(ch, targetChar);
+      return false;
+    }
+
+    // -------------------------
+    // Target picking
+    // -------------------------
+    pickTarget(role) {
+      // TANK may override in actTank
+      return this.assistTarget(role) || this.bestEnemyIn(this.engageableEnemies(), role);
+    }
+
+    // ASSIST stance: MELEE / RANGED focus fire on the leader's target.
+    assistTarget(role) {
+      if (this.cfg.stance !== Stances.ASSIST || (role !== Roles.MELEE && role !== Roles.RANGED)) return null;
+      const t = this.bb.leaderTarget;
+      return t && !t._roaEnemyAvoid ? t : null;
+    }
+
+    bestEnemyIn(pool, role = this.role()) {
+      return TargetScorer.best(this, pool, role);
     }
 
     // -------------------------
@@ -570,20 +2955,29 @@
       const t = this._target || this.pickTarget(Roles.RANGED);
       if (!t) { this._state = "FOLLOW"; return; }
 
+      if (!this.ensureSight(t, this.cfg.preferredRange)) {
+        this._state = "ACQUIRE";
+        return;
+      }
+
       const d = ChronoCompat.distTiles(ch, t);
       const keep = this.cfg.keepDistance;
+      const toolId = this.attackToolId();
 
       // Kite melee targets, hold vs ranged
-      if (t._roaEnemyType === "MELEE" && d <= keep) {
+      if (!t._roaEnemyRanged && d <= keep) {
         ChronoCompat.moveAway(ch, t);
         ChronoCompat.sidestep(ch, t);
+        if (toolId && ChronoCompat.toolWouldHit(ch, toolId, t, this.cfg.preferredRange)) {
+          this.useTool(toolId, 0, t);
+        }
+      } else if (toolId) {
+        // Fire only when the shot would land; otherwise close to the tool's reach
+        this.attackWith(toolId, t, this.cfg.preferredRange);
+      } else if (this.cfg.toolAttack > 0) {
+        this.holdBack(t); // out of ammo / MP
       } else if (d > this.cfg.preferredRange) {
-        ChronoCompat.moveToward(ch, t);
-      }
-
-      // Fire tool if we have it
-      if (this.cfg.toolAttack > 0) {
-        ChronoCompat.tryUseTool(ch, this.cfg.toolAttack, 0);
+        ChronoCompat.moveToward(ch, t, this.cfg.preferredRange);
       }
 
       this._state = "ACQUIRE";
@@ -594,12 +2988,11 @@
       const t = this._target || this.pickTarget(Roles.MELEE);
       if (!t) { this._state = "FOLLOW"; return; }
 
-      // pursue
-      ChronoCompat.moveToward(ch, t);
-
-      if (this.cfg.toolAttack > 0) {
-        ChronoCompat.tryUseTool(ch, this.cfg.toolAttack, 0);
-      }
+      // pursue until the tool's area covers the target
+      const toolId = this.attackToolId();
+      if (toolId) this.attackWith(toolId, t);
+      else if (this.cfg.toolAttack > 0) this.holdBack(t);
+      else ChronoCompat.moveToward(ch, t);
 
       this._state = "ACQUIRE";
     }
@@ -627,28 +3020,38 @@
         if (d < bestD) { bestD = d; protectedChar = pc; }
       }
 
-      // Pick an enemy close to protected ally first (peel), otherwise nearest enemy
-      let t = null;
-      if (protectedChar) {
-        for (const e of this.bb.enemies) {
-          if (ChronoCompat.distTiles(protectedChar, e) <= protectRadius) {
-            t = e;
-            break;
-          }
-        }
+      // Grab back enemies whose top threat is someone else (protected allies first),
+      // then peel anything near a protected ally, otherwise nearest enemy
+      let t = this.pickTauntTarget(protectedActorIds);
+      if (!t && protectedChar) {
+        t = this.bestEnemyIn(this.bb.enemies.filter(e => ChronoCompat.distTiles(protectedChar, e) <= protectRadius));
       }
       if (!t) t = this.pickTarget(Roles.TANK);
       if (!t) { this._state = "FOLLOW"; return; }
 
-      ChronoCompat.moveToward(ch, t);
-
-      if (this.cfg.toolAttack > 0) {
-        ChronoCompat.tryUseTool(ch, this.cfg.toolAttack, 0);
-      }
+      // a tank that can't pay still body-blocks
+      const toolId = this.attackToolId();
+      if (toolId) this.attackWith(toolId, t);
+      else ChronoCompat.moveToward(ch, t);
 
       this._state = "ACQUIRE";
     }
 
+    pickTauntTarget(protectedActorIds) {
+      const ch = this.char();
+      const myId = this.actorId;
+      let best = null;
+      let bestScore = -Infinity;
+      for (const e of this.bb.enemies) {
+        const topId = Threat.topActorId(e);
+        if (!topId || topId === myId || e._roaEnemyAvoid) continue;
+        const d = ChronoCompat.distTiles(ch, e);
+        const score = (protectedActorIds.includes(topId) ? 100 : 0) + (e._roaEnemyPriority || 0) - d;
+        if (score > bestScore) { bestScore = score; best = e; }
+      }
+      return best;
+    }
+
     actHealer() {
       const userActor = this.actor();
       const userChar = this.char();
@@ -668,14 +3071,24 @@
       const critical = CFG.healerCriticalThreshold;
       const healAt = CFG.healerHealThreshold;
 
-      if (lowest && lowestHpPct <= critical) {
-        this.doHealerHeal(lowest.actorId);
+      if (lowest && lowestHpPct <= critical && this.doHealerHeal(lowest.actorId, true)) {
+        this._state = "ACT";
+        return;
+      }
+
+      // Raising the leader or a tank comes before top-up heals, anyone else after.
+      const fallen = this.fallenAllies();
+      if (fallen.length > 0 && this.isKeyMember(fallen[0]) && this.doRevive(fallen[0])) {
         this._state = "ACT";
         return;
       }
 
-      if (lowest && lowestHpPct <= healAt) {
-        this.doHealerHeal(lowest.actorId);
+      if (lowest && lowestHpPct <= healAt && this.doHealerHeal(lowest.actorId)) {
+        this._state = "ACT";
+        return;
+      }
+
+      if (fallen.length > 0 && this.doRevive(fallen[0])) {
         this._state = "ACT";
         return;
       }
@@ -685,7 +3098,7 @@
         const withinWindow = (this.bb._frame - this.bb.combatStartFrame) <= CFG.healerBuffWindowFrames;
         if (withinWindow) {
           const next = this._buffQueue.find(id => !this._buffedThisCombat[id]);
-          if (next) {
+          if (next && this.canAfford(this.cfg.toolBuff)) {
             this.doHealerBuff(next);
             this._state = "ACT";
             return;
@@ -697,10 +3110,11 @@
       const closeEnemy = this.bb.enemies.find(e => ChronoCompat.distTiles(userChar, e) <= 2);
       if (closeEnemy) {
         // defend in melee
-        if (this.cfg.toolDefend > 0) {
-          ChronoCompat.tryUseTool(userChar, this.cfg.toolDefend, 0);
-        } else if (this.cfg.toolAttack > 0) {
-          ChronoCompat.tryUseTool(userChar, this.cfg.toolAttack, 0);
+        const attackId = this.attackToolId();
+        if (this.canAfford(this.cfg.toolDefend)) {
+          this.useTool(this.cfg.toolDefend, 0, closeEnemy);
+        } else if (attackId) {
+          this.useTool(attackId, 0, closeEnemy);
         } else {
           ChronoCompat.moveAway(userChar, closeEnemy);
         }
@@ -708,10 +3122,8 @@
         return;
       }
 
-      // reposition behind player (simple)
-      if (ChronoCompat.distTiles(userChar, $gamePlayer) > 3) {
-        ChronoCompat.moveToward(userChar, $gamePlayer);
-      }
+      // back to the formation slot
+      this.moveToSlot();
 
       this._state = "ACQUIRE";
     }
@@ -757,36 +3169,93 @@
       return best;
     }
 
-    doHealerHeal(targetActorId) {
-      if (!this.cfg.toolHeal && !this.cfg.toolAttack) return;
+    // Dead party members with a body on the map, leader and tanks first.
+    fallenAllies() {
+      return ROA.ChronoPartyAI.Manager.partyActorIds()
+        .filter(id => {
+          const a = $gameActors.actor(id);
+          return id !== this.actorId && a && a.isDead() && ChronoCompat.characterForActorId(id);
+        })
+        .sort((a, b) => (this.isKeyMember(b) ? 1 : 0) - (this.isKeyMember(a) ? 1 : 0));
+    }
+
+    isKeyMember(actorId) {
+      const a = $gameActors.actor(actorId);
+      if (!a) return false;
+      return a === $gameParty.leader() || String(actorAiConfig(a).role).toUpperCase() === Roles.TANK;
+    }
+
+    // ToolRevive, else a revive item from the inventory: { toolId, item, budgeted },
+    // toolId 0 = use the item by hand, budgeted = inventory item (charged to the
+    // item budget once used). null = no way to revive.
+    reviveMeans() {
+      const toolId = this.cfg.toolRevive;
+      if (toolId && this.canAfford(toolId, true)) {
+        const item = ChronoCompat.toolEffectItem(toolId);
+        if (ChronoCompat.isReviveItem(item)) return { toolId, item };
+      }
+      const item = ChronoCompat.reviveItem(this.actor());
+      if (!item) return null;
+      const itemToolId = ChronoCompat.itemToolId(item);
+      return { toolId: itemToolId && this.canAfford(itemToolId, true) ? itemToolId : 0, item, budgeted: true };
+    }
+
+    // Returns false when nothing can revive, so the healer moves on.
+    doRevive(targetActorId) {
+      const means = this.reviveMeans();
+      if (!means) return false;
+
+      const userChar = this.char();
+      const targetChar = ChronoCompat.characterForActorId(targetActorId);
+      const targetActor = $gameActors.actor(targetActorId);
+      if (!userChar || !targetChar || !targetActor) return false;
+
+      // Approach the body away from enemies: tools from range, items by hand
+      const range = means.toolId ? this.cfg.preferredRange : 1;
+      const inReach = ChronoCompat.distTiles(userChar, targetChar) <= range &&
+        (range <= 1 || ChronoCompat.hasLineOfSight(userChar, targetChar));
+      if (!inReach) {
+        const tile = ChronoCompat.safeTileNear(userChar, targetChar, range, this.bb.enemies);
+        if (tile) ChronoCompat.moveToTile(userChar, tile.x, tile.y, 0);
+        else ChronoCompat.moveToward(userChar, targetChar, range);
+        return true;
+      }
+
+      if (means.toolId) {
+        ChronoCompat.setPendingSupport(userChar, means.toolId, targetActor, means.item);
+        if (!this.useTool(means.toolId, 1, targetChar)) ChronoCompat.setPendingSupport(userChar, means.toolId, null, null);
+        else if (means.budgeted) this._pendingItem = { toolId: means.toolId, item: means.item };
+      } else if (ChronoCompat.useItemOn(userChar, targetChar, means.item)) {
+        ItemBudget.spend(means.item);
+      }
+      log(`Healer ${this.actorId} revive -> ${targetActorId} (${means.item.name})`);
+      return true;
+    }
+
+    // Returns false when there is no heal to give (no tool, or it can't be paid),
+    // so the healer falls through to its other behaviour.
+    doHealerHeal(targetActorId, emergency = false) {
+      if (!this.canAfford(this.cfg.toolHeal, emergency)) return false;
 
       const userChar = this.char();
       const targetChar = ChronoCompat.characterForActorId(targetActorId);
       const userActor = this.actor();
       const targetActor = $gameActors.actor(targetActorId);
-      if (!userChar || !userActor || !targetActor) return;
+      if (!userChar || !userActor || !targetActor) return false;
 
       // Move into heal range
       const d = targetChar ? ChronoCompat.distTiles(userChar, targetChar) : 999;
       const range = this.cfg.preferredRange;
       if (targetChar && d > range) {
-        ChronoCompat.moveToward(userChar, targetChar);
-        return;
-      }
-
-      // 1) Optional: trigger Chrono heal tool for visuals/pose
-      if (this.cfg.toolHeal > 0) {
-        ChronoCompat.tryUseTool(userChar, this.cfg.toolHeal, 1);
+        ChronoCompat.moveToward(userChar, targetChar, range);
+        return true;
       }
+      if (targetChar && targetChar !== userChar && !this.ensureSight(targetChar, range)) return true;
 
-      // 2) Apply actual heal effect using a REAL skill id (recommended)
-      // TODO: set the skill id you want tied to healing (could be the same skill referenced by tool event)
-      // You can store it as another notetag later (e.g. <ChronoAI HealSkillId: 25>)
-      // For now we assume your tool event's damage is driven by a skill, so you may choose to skip this.
-      // Example:
-      // ChronoCompat.applySupportSkill(userActor, targetActor, 25);
+      if (!this.useSupportTool(this.cfg.toolHeal, this.cfg.healSkillId, targetChar, targetActor)) return false;
 
       log(`Healer ${this.actorId} heal -> ${targetActorId}`);
+      return true;
     }
 
     doHealerBuff(targetActorId) {
@@ -801,19 +3270,178 @@
       const d = targetChar ? ChronoCompat.distTiles(userChar, targetChar) : 999;
       const range = this.cfg.preferredRange;
       if (targetChar && d > range) {
-        ChronoCompat.moveToward(userChar, targetChar);
+        ChronoCompat.moveToward(userChar, targetChar, range);
         return;
       }
+      if (targetChar && targetChar !== userChar && !this.ensureSight(targetChar, range)) return;
+
+      if (!this.useSupportTool(this.cfg.toolBuff, this.cfg.buffSkillId, targetChar, targetActor)) return;
+
+      this._buffedThisCombat[targetActorId] = true;
+      log(`Healer ${this.actorId} buff -> ${targetActorId}`);
+    }
+
+    // Fire a heal/buff tool at an ally; the effect itself lands through ChronoCompat.applyToolSupport.
+    useSupportTool(toolId, overrideSkillId, targetChar, targetActor) {
+      const userChar = this.char();
+      ChronoCompat.setPendingSupport(userChar, toolId, targetActor, ChronoCompat.supportItem(toolId, overrideSkillId));
+      const ok = this.useTool(toolId, 1, targetChar);
+      if (!ok) ChronoCompat.setPendingSupport(userChar, toolId, null, null);
+      return ok;
+    }
+
+    // -------------------------
+    // Consumables
+    // -------------------------
+    thinkItems() {
+      if (this._itemReadyFrame > this.bb._frame) return false;
+      const use = this.pickItemUse();
+      if (!use || !this.canAfford(use.toolId, true)) return false;
+
+      const ch = this.char();
+      const range = this.cfg.preferredRange;
+      if (use.targetChar !== ch && ChronoCompat.distTiles(ch, use.targetChar) > range) {
+        ChronoCompat.moveToward(ch, use.targetChar, range);
+        return true;
+      }
+
+      ChronoCompat.setPendingSupport(ch, use.toolId, use.targetActor, use.item);
+      if (!this.useTool(use.toolId, 1, use.targetChar)) {
+        ChronoCompat.setPendingSupport(ch, use.toolId, null, null);
+        return false;
+      }
+      this._pendingItem = { toolId: use.toolId, item: use.item };
+      this._itemReadyFrame = this.bb._frame + ITEM_USE_COOLDOWN;
+      log(`Actor ${this.actorId} item ${use.item.name} -> ${use.targetActor.actorId()}`);
+      return true;
+    }
+
+    // { item, toolId, targetChar, targetActor } for the first HP/MP need an ABS
+    // item covers within the party budget; null = nothing to do.
+    pickItemUse() {
+      if (!this.cfg.useItems) return null;
+      const items = ChronoCompat.absToolItems().filter(e => ItemBudget.canSpend(e.item));
+      if (items.length === 0) return null;
+      for (const need of this.itemNeeds()) {
+        const use = this.bestItemFor(items, need);
+        if (use) return use;
+      }
+      return null;
+    }
+
+    // HP needs before MP needs, self before allies.
+    itemNeeds() {
+      const ids = [this.actorId, ...ROA.ChronoPartyAI.Manager.partyActorIds().filter(id => id !== this.actorId)];
+      const kinds = [
+        { code: Game_Action.EFFECT_RECOVER_HP, threshold: CFG.itemHpThreshold, rate: a => a.hpRate() },
+        { code: Game_Action.EFFECT_RECOVER_MP, threshold: CFG.itemMpThreshold, rate: a => a.mpRate() },
+      ];
+      const needs = [];
+      for (const kind of kinds) {
+        if (kind.threshold <= 0) continue;
+        for (const id of ids) {
+          const a = $gameActors.actor(id);
+          if (!a || a.isDead() || kind.rate(a) * 100 > kind.threshold) continue;
+          if (kind.code === Game_Action.EFFECT_RECOVER_MP && a.mmp === 0) continue;
+          needs.push({ code: kind.code, actor: a, self: id === this.actorId });
+        }
+      }
+      return needs;
+    }
+
+    // The item whose recovery comes closest to what the actor is missing.
+    bestItemFor(items, need) {
+      const a = need.actor;
+      const missing = need.code === Game_Action.EFFECT_RECOVER_HP ? a.mhp - a.hp : a.mmp - a.mp;
+      let best = null;
+      let bestWaste = Infinity;
+      for (const e of items) {
+        const scope = e.item.scope;
+        if (!(scope === 7 || scope === 8 || (scope === 11 && need.self))) continue;
+        const amount = ChronoCompat.itemRecovery(e.item, a, need.code);
+        if (amount <= 0) continue;
+        const waste = Math.abs(missing - amount);
+        if (waste < bestWaste) { bestWaste = waste; best = e; }
+      }
+      const targetChar = best ? ChronoCompat.characterForActorId(a.actorId()) : null;
+      return targetChar ? { item: best.item, toolId: best.toolId, targetChar, targetActor: a } : null;
+    }
+
+    // -------------------------
+    // Chrono mode (ATB commands)
+    // -------------------------
+    // Command for a full ATB gauge: { index, item, target } where index is the
+    // Chrono command slot (0 attack, 1 skill, 3 item); null = guard. Consumables
+    // picked under the item budget set budgeted, charged once the command goes through.
+    chronoCommand() {
+      const actor = this.actor();
+      if (!actor) return null;
+
+      const picked = this.cfg.gambits.length > 0 ? Gambits.evaluate(this, true) : null;
+      if (picked) {
+        const item = ChronoCompat.toolEffectItem(this.gambitToolId(picked.rule.action));
+        const cmd = this.chronoItemCommand(item, picked.target.char, true);
+        if (cmd) return cmd;
+      }
+
+      const fallen = this.role() === Roles.HEALER ? this.fallenAllies() : [];
+      if (fallen.length > 0) {
+        const means = this.reviveMeans();
+        const cmd = means && this.chronoItemCommand(means.item, ChronoCompat.characterForActorId(fallen[0]), true);
+        if (cmd) {
+          cmd.budgeted = means.budgeted;
+          return cmd;
+        }
+      }
+
+      const lowest = this.lowestHpAlly();
+      if (lowest && lowest.hpPct <= CFG.healerHealThreshold) {
+        const emergency = lowest.hpPct <= CFG.healerCriticalThreshold;
+        const item = ChronoCompat.supportItem(this.cfg.toolHeal, this.cfg.healSkillId);
+        const cmd = this.cfg.toolHeal && this.chronoItemCommand(item, ChronoCompat.characterForActorId(lowest.actorId), emergency);
+        if (cmd) return cmd;
+      }
+
+      if (this.role() === Roles.HEALER && this.cfg.toolBuff && this.bb.combatActive) {
+        if (this._combatStartFrameSeen !== this.bb.combatStartFrame) {
+          this._combatStartFrameSeen = this.bb.combatStartFrame;
+          this._buffedThisCombat = {};
+          this._buffQueue = this.buildHealerBuffQueue();
+        }
+        const next = this._buffQueue.find(id => !this._buffedThisCombat[id]);
+        const item = ChronoCompat.supportItem(this.cfg.toolBuff, this.cfg.buffSkillId);
+        const cmd = next && this.chronoItemCommand(item, ChronoCompat.characterForActorId(next), false);
+        if (cmd) {
+          this._buffedThisCombat[next] = true;
+          return cmd;
+        }
+      }
+
+      const use = this.pickItemUse();
+      const itemCmd = use && this.chronoItemCommand(use.item, use.targetChar, true);
+      if (itemCmd) {
+        itemCmd.budgeted = true;
+        return itemCmd;
+      }
 
-      // Trigger Chrono buff tool for visuals/pose
-      ChronoCompat.tryUseTool(userChar, this.cfg.toolBuff, 1);
+      if (this.cfg.stance === Stances.DEFENSIVE && actor.hpRate() * 100 <= CFG.healerCriticalThreshold) return null;
 
-      // Apply actual buff state via skill if desired
-      // TODO: pick your buff skill id and apply it:
-      // ChronoCompat.applySupportSkill(userActor, targetActor, 30);
+      // attack targets are left to ChronoTargeting (target: null)
+      const attackId = this.attackToolId();
+      const cmd = attackId && this.chronoItemCommand(ChronoCompat.toolEffectItem(attackId), null, false);
+      return cmd || { index: 0, item: null, target: null };
+    }
 
-      this._buffedThisCombat[targetActorId] = true;
-      log(`Healer ${this.actorId} buff -> ${targetActorId}`);
+    // Skill (slot 1) or item (slot 3) command when the actor can use it and,
+    // outside emergencies, keep its MP/TP reserves.
+    chronoItemCommand(item, target, emergency) {
+      const actor = this.actor();
+      if (!item || !actor.canUse(item)) return null;
+      if (!emergency && DataManager.isSkill(item)) {
+        if (actor.mp - actor.skillMpCost(item) < actor.mmp * this.cfg.reserveMP / 100) return null;
+        if (actor.tp - actor.skillTpCost(item) < actor.maxTp() * this.cfg.reserveTP / 100) return null;
+      }
+      return { index: DataManager.isSkill(item) ? 1 : 3, item, target };
     }
   }
 
@@ -824,6 +3452,7 @@
     constructor() {
       this.bb = new Blackboard();
       this.controllers = new Map(); // actorId -> Controller
+      this._fightStartFrame = 0;
     }
 
     static get() {
@@ -843,16 +3472,21 @@
       const leaderId = $gameParty.leader() ? $gameParty.leader().actorId() : 0;
 
       for (const actorId of ids) {
-        if (actorId === leaderId) continue;
+        if (actorId === leaderId) {
+          // the leader is the player's character (party swap, Chrono's leader rotation)
+          this.controllers.delete(actorId);
+          continue;
+        }
         const actor = $gameActors.actor(actorId);
         if (!actor) continue;
 
-        const cfg = actorAiConfig(actor);
-        if (!cfg.enabled) {
+        if (!actorAiEnabled(actor)) {
           this.controllers.delete(actorId);
           continue;
         }
 
+        const cfg = actorAiConfig(actor);
+
         if (!this.controllers.has(actorId)) {
           this.controllers.set(actorId, new Controller(actorId, cfg, this.bb));
           log("Controller created for actorId", actorId, cfg.role);
@@ -872,6 +3506,14 @@
       if (!CFG.enabled) return;
 
       this.bb.update();
+      if (this.bb.combatActive && this._fightStartFrame !== this.bb.combatStartFrame) {
+        this._fightStartFrame = this.bb.combatStartFrame;
+        ItemBudget.startFight();
+        Formations.startFight();
+      }
+      Pathfinder.tick();
+      Threat.update();
+      PartyBodies.sync();
 
       // Ensure controllers exist
       this.sync();
@@ -883,6 +3525,209 @@
 
   ROA.ChronoPartyAI.Manager = Manager;
 
+  // ------------------------------------------------------------
+  // Chrono mode target selection (scored, or Chrono's random "legacy")
+  // ------------------------------------------------------------
+  const CHRONO_TARGET_WEIGHTS = { hp: 40, element: 30, state: 15, threat: 20, atb: 25, priority: 10 };
+  const CHRONO_ATB_SOON = 0.8; // ATB share at which a target counts as about to act
+
+  const ChronoTargeting = {
+    isSmart(battler) {
+      const profile = battler.isActor() ? CFG.chronoTargetProfile : CFG.chronoEnemyTargetProfile;
+      return CFG.enabled && profile === "smart";
+    },
+
+    // Characters a `scope` can pick from, as Game_Chrono.selectTargetAutoCN sorts them.
+    candidates(battler, scope) {
+      const enemies = battler.isActor() ? $gameMap.enemiesF() : $gameMap.players();
+      const allies = battler.isActor() ? $gameMap.players() : $gameMap.enemiesF();
+      if (scope === 9 || scope === 10) return allies.filter(c => c.battler() && c.battler().isDead());
+      if (scope >= 7) return allies.filter(c => c.battler() && !c.battler().isDead());
+      const alive = enemies.filter(c => c.battler() && !c.battler().isDead());
+      if (!battler.isActor()) return alive;
+      // <ChronoAI Avoid> enemies only when nothing else is left
+      ChronoCompat.ensureEnemyMetaCached();
+      const wanted = alive.filter(c => !c._roaEnemyAvoid);
+      return wanted.length > 0 ? wanted : alive;
+    },
+
+    // Higher = better target of `item` for `user`.
+    score(user, item, targetChar) {
+      const w = CHRONO_TARGET_WEIGHTS;
+      const t = targetChar.battler();
+      let s = this.stateScore(item, t) * w.state;
+      if (!t.isDead()) s += (1 - t.hpRate()) * w.hp; // finish off / heal the lowest
+      if (item.scope >= 7) return s;
+
+      s += (this.elementRate(user, item, t) - 1) * w.element;
+      s += this.threatScore(user, targetChar) * w.threat;
+      s += (targetChar._roaEnemyPriority || 0) * w.priority;
+      const c = t._chrono;
+      if (c && c.maxAtb > 0 && !c.action && c.atb / c.maxAtb >= CHRONO_ATB_SOON) s += w.atb;
+      return s;
+    },
+
+    // Game_Action.calcElementRate() without an action object.
+    elementRate(user, item, target) {
+      const elementId = item.damage ? item.damage.elementId : 0;
+      if (elementId < 0) {
+        const elements = user.attackElements();
+        return elements.length > 0 ? Math.max(...elements.map(id => target.elementRate(id))) : 1;
+      }
+      return elementId > 0 ? target.elementRate(elementId) : 1;
+    },
+
+    // +1 per state the item would remove, -1 per state it adds that is already
+    // there or resisted; averaged over the item's state effects.
+    stateScore(item, target) {
+      let s = 0;
+      let n = 0;
+      for (const e of item.effects || []) {
+        if (e.code === Game_Action.EFFECT_ADD_STATE && e.dataId > 0) {
+          n++;
+          if (target.isStateAffected(e.dataId) || target.isStateResist(e.dataId) || target.stateRate(e.dataId) === 0) s--;
+        } else if (e.code === Game_Action.EFFECT_REMOVE_STATE) {
+          n++;
+          if (target.isStateAffected(e.dataId)) s++;
+        }
+      }
+      return n > 0 ? s / n : 0;
+    },
+
+    // Enemies go after the party member with the most threat on them; actors
+    // help out against enemies whose top threat is somebody else.
+    threatScore(user, targetChar) {
+      if (user.isEnemy()) {
+        const userChar = ChronoCompat.characterForBattler(user);
+        const rows = userChar ? Threat.table(userChar) : [];
+        const row = rows.find(r => r.actorId === targetChar.battler().actorId());
+        return row && rows[0].threat > 0 ? row.threat / rows[0].threat : 0;
+      }
+      const top = Threat.topActorId(targetChar);
+      return top && top !== user.actorId() ? 1 : 0;
+    },
+
+    best(battler, item, pool) {
+      let best = null;
+      let bestScore = -Infinity;
+      for (const c of pool) {
+        const sc = this.score(battler, item, c);
+        if (sc > bestScore) { bestScore = sc; best = c; }
+      }
+      return best;
+    },
+
+    // One target out of `pool`: scored for smart profiles, random for legacy.
+    pick(battler, item, pool) {
+      if (pool.length === 0) return null;
+      return this.isSmart(battler) ? this.best(battler, item, pool) : pool[Math.randomInt(pool.length)];
+    },
+
+    // Re-picks the slots Chrono fills at random (scopes 1, 3-6, 9) or by raw HP (7).
+    retarget(battler, item) {
+      if (!item || !this.isSmart(battler) || ![1, 3, 4, 5, 6, 7, 9].includes(item.scope)) return;
+      const best = this.best(battler, item, this.candidates(battler, item.scope));
+      if (best) battler._chrono.targets = battler._chrono.targets.map(() => best);
+    },
+  };
+
+  ROA.ChronoPartyAI.ChronoTargeting = ChronoTargeting;
+
+  const _Game_Chrono_selectTargetAutoCN = Game_Chrono.prototype.selectTargetAutoCN;
+  Game_Chrono.prototype.selectTargetAutoCN = function(battler, char) {
+    _Game_Chrono_selectTargetAutoCN.call(this, battler, char);
+    ChronoTargeting.retarget(battler, this.item(battler));
+  };
+
+  // A target that died before its turn is replaced at random; score the replacement.
+  const _Game_Chrono_makeTargetsCN = Game_Chrono.prototype.makeTargetsCN;
+  Game_Chrono.prototype.makeTargetsCN = function(battler, item) {
+    const before = battler._chrono.targets[battler._chrono.actionTimes];
+    const target = _Game_Chrono_makeTargetsCN.call(this, battler, item);
+    if (!target || target === before || !ChronoTargeting.isSmart(battler)) return target;
+    const best = ChronoTargeting.best(battler, item, ChronoTargeting.candidates(battler, item.scope)) || target;
+    battler._chrono.targets[battler._chrono.actionTimes] = best;
+    return best;
+  };
+
+  // ------------------------------------------------------------
+  // Chrono mode (ATB turns): AI actors pick their own commands
+  // ------------------------------------------------------------
+  const ChronoTurns = {
+    // Controller of an AI actor; the leader and manual actors get null.
+    controllerFor(battler) {
+      if (!CFG.enabled || !battler || !battler.isActor() || battler === $gameParty.leader()) return null;
+      return Manager.get().controllers.get(battler.actorId()) || null;
+    },
+
+    // Same gate as the player's command window (Game_Chrono.canStartCommandCN),
+    // since the command runs through $gameTemp._chronoCom.
+    canAutoCommand(battler) {
+      return battler.isMaxAtbC() && !battler.isCastingC() && $gameChrono.canStartCommandCN(battler);
+    },
+
+    // Opens the command for char/battler like prepareCommandSelectionCN() (no
+    // SE, no windows) and confirms it like the command window and ToolCursor do.
+    autoCommand(char, battler, ctrl) {
+      battler.atbClearCN();
+      battler.clearRasCast();
+      battler._chrono.atb = battler._chrono.maxAtb;
+      $gameTemp._chronoCom.user = [char, battler];
+      $gameTemp._chronoCom.phase = 0;
+
+      const cmd = ctrl.chronoCommand();
+      let item = cmd ? cmd.item : null;
+      if (cmd && cmd.index === 0) item = $gameChrono.canSelectAttackCommand() ? $gameChrono.skill() : null;
+      if (!item) return this.guard(battler);
+
+      $gameTemp._chronoCom.index = cmd.index;
+      $gameChrono.selectAction(item);
+      if ($gameChrono._selectionOK) {
+        if (cmd.budgeted) ItemBudget.spend(item);
+        ChronoTargeting.retarget(battler, item);
+        log(`ChronoTurns: actor ${battler.actorId()} -> ${item.name}`);
+        return;
+      }
+
+      // Single-target scopes wait on the target cursor (phase 2): pick for it.
+      const targets = $gameTemp._chronoCom.targets || [];
+      if ($gameTemp._chronoCom.phase !== 2 || targets.length === 0) return this.guard(battler);
+      const target = targets.includes(cmd.target) ? cmd.target : ChronoTargeting.pick(battler, item, targets);
+      this.confirmTarget(battler, item, target);
+      if (cmd.budgeted) ItemBudget.spend(item);
+      log(`ChronoTurns: actor ${battler.actorId()} -> ${item.name} @`, target.battler().name());
+    },
+
+    // ToolCursor.chronoPhaseSelection() for a chosen target.
+    confirmTarget(battler, item, target) {
+      battler._chrono.actionTimes = 1;
+      battler._chrono.actionPhase = 0;
+      battler._chrono.action = item;
+      battler._chrono.targets.push(target);
+      if ($gameTemp._chronoCom.index !== 0) {
+        $gameTemp._chronoCom.toolAction = $gameMap.tool($gameChrono.getToolId(item));
+      }
+      $gameParty.consumeItem(item);
+      $gameChrono.setCooperationSkill(item);
+      $gameChrono.setCastAction();
+      $gameChrono.clearCommandPhase();
+    },
+
+    guard(battler) {
+      log(`ChronoTurns: actor ${battler.actorId()} -> guard`);
+      $gameChrono.commandGuard();
+    },
+  };
+
+  ROA.ChronoPartyAI.ChronoTurns = ChronoTurns;
+
+  const _Game_Chrono_updateChronoATB = Game_Chrono.prototype.updateChronoATB;
+  Game_Chrono.prototype.updateChronoATB = function(battler, char) {
+    const ctrl = ChronoTurns.controllerFor(battler);
+    if (ctrl && ChronoTurns.canAutoCommand(battler)) ChronoTurns.autoCommand(char, battler, ctrl);
+    _Game_Chrono_updateChronoATB.call(this, battler, char);
+  };
+
   // ------------------------------------------------------------
   // Scene hooks
   // ------------------------------------------------------------
@@ -897,6 +3742,9 @@
     _Game_Map_setup.call(this, mapId);
     // refresh caches
     const mgr = Manager.get();
+    Pathfinder.clear();
+    Threat.clear();
+    PartyBodies.reset();
     mgr.bb = new Blackboard();
     mgr.controllers.clear();
     mgr.sync();
@@ -910,21 +3758,685 @@
     Game_Follower.prototype.update = function() {
       // If this follower corresponds to an AI-controlled actor, we let AI movement drive it.
       const actor = this.actor ? this.actor() : null;
-      const actorId = actor && actor.actorId ? actor.actorId() : 0;
-      const cfg = actor ? actorAiConfig(actor) : null;
-
-      if (CFG.enabled && cfg && cfg.enabled) {
-        // Keep basic animation updates but avoid chaseCharacter pathing:
-        this.updateMove();
-        this.updateAnimation();
-        this.updateDirection();
-        this.updateBushDepth();
-        this.updateStop();
+      if (CFG.enabled && actorAiEnabled(actor)) {
+        // Character update only (movement, animation and Chrono's tool state:
+        // casting, poses, knockback), without copying the leader's settings.
+        // Chrono's own follower step (battle transition speed, hookshot) still runs.
+        Game_Character.prototype.update.call(this);
+        if (this.updateChronoFollower && $gamePlayer.battler()) this.updateChronoFollower();
         return;
       }
 
       _Game_Follower_update.call(this);
     };
+
+    // Game_Followers.updateMove() would otherwise drag AI followers back into
+    // the conga line every frame and undo their pathing.
+    const _Game_Follower_chaseCharacter = Game_Follower.prototype.chaseCharacter;
+    Game_Follower.prototype.chaseCharacter = function(character) {
+      const actor = this.actor ? this.actor() : null;
+      if (CFG.enabled && actorAiEnabled(actor)) return;
+      _Game_Follower_chaseCharacter.call(this, character);
+    };
+  }
+
+  // ------------------------------------------------------------
+  // Party bodies: followers, player list and on-screen targets (custom mode)
+  // ------------------------------------------------------------
+  if (CFG.partyBodyMode === "custom") {
+    // Followers only show the members that have no body of their own.
+    const _Game_Follower_actor = Game_Follower.prototype.actor;
+    Game_Follower.prototype.actor = function() {
+      if (!PartyBodies.isActive()) return _Game_Follower_actor.call(this);
+      const rest = $gameParty.battleMembers().slice(1).filter(a => !PartyBodies.wantsBody(a));
+      return rest[this._memberIndex - 1];
+    };
+
+    const _Game_Map_players = Game_Map.prototype.players;
+    Game_Map.prototype.players = function() {
+      const players = _Game_Map_players.call(this);
+      if (PartyBodies.isActive()) players.push(...PartyBodies.bodies().filter(b => b.battler()));
+      return players;
+    };
+
+    // Chrono treats every battler event as an enemy; bodies are party members.
+    const _Game_Map_targetsOnScreen = Game_Map.prototype.targetsOnScreen;
+    Game_Map.prototype.targetsOnScreen = function() {
+      _Game_Map_targetsOnScreen.call(this);
+      this._enemiesOnScreen = this._enemiesOnScreen.filter(c => !(c instanceof Game_PartyBody));
+      this._battlersOnScreen = [...new Set(this._battlersOnScreen)];
+    };
+
+    const _Game_Map_allEnemiesOnMap = Game_Map.prototype.allEnemiesOnMap;
+    Game_Map.prototype.allEnemiesOnMap = function() {
+      return _Game_Map_allEnemiesOnMap.call(this).filter(c => !(c instanceof Game_PartyBody));
+    };
+  }
+
+  // ------------------------------------------------------------
+  // Chrono hooks: hit reactions of AI members
+  // ------------------------------------------------------------
+  // Chrono only knocks back the leader among actors in ABS mode. Custom bodies
+  // (and AI followers with AiKnockback) get the leader's rules; the damage pose
+  // follows isKnockbacking() and ToolEvent.setInvunerableDuration() stretches
+  // the invulnerability frames over the knockback, as for the leader.
+  const _Game_CharacterBase_canKnockback = Game_CharacterBase.prototype.canKnockback;
+  Game_CharacterBase.prototype.canKnockback = function(target) {
+    const reacts = target instanceof Game_PartyBody || (CFG.aiKnockback && CFG.enabled && ChronoCompat.isAiCharacter(target));
+    if (!reacts || $gameSystem.isChronoMode()) {
+      return _Game_CharacterBase_canKnockback.call(this, target);
+    }
+    const b = target.battler();
+    if (!b || b.isDead() || target.isCasting()) return false;
+    if (b._ras.hookshotUser[0] || b._ras.invunerable || b._ras.superGuard) return false;
+    if (b._ras.poseDuration > 25) return false;
+    return !!b._ras._knockback;
+  };
+
+  // ------------------------------------------------------------
+  // Chrono hooks: follower action path
+  // ------------------------------------------------------------
+  const _Game_CharacterBase_canExecuteAction = Game_CharacterBase.prototype.canExecuteAction;
+  Game_CharacterBase.prototype.canExecuteAction = function(toolID) {
+    if (CFG.enabled && ChronoCompat.isAiCharacter(this)) {
+      return ChronoCompat.canExecuteAiAction(this, toolID);
+    }
+    return _Game_CharacterBase_canExecuteAction.call(this, toolID);
+  };
+
+  const _ToolEvent_startTool = ToolEvent.prototype.startTool;
+  ToolEvent.prototype.startTool = function() {
+    _ToolEvent_startTool.call(this);
+    const pending = this.user()._roaPendingSupport;
+    if (pending && pending.toolId === this._tool.id) {
+      this._roaSupport = { target: pending.target, item: pending.item, applied: false };
+      this.user()._roaPendingSupport = null;
+    }
+    ChronoCompat.notifyToolResult(this.user(), this._tool.id, true);
+  };
+
+  const _ToolEvent_cancelTool = ToolEvent.prototype.cancelTool;
+  ToolEvent.prototype.cancelTool = function() {
+    _ToolEvent_cancelTool.call(this);
+    if (!this._preLoad) ChronoCompat.notifyToolResult(this.user(), this._tool.id, false);
+  };
+
+  // Tool ids index $dataMapTool.events, which Chrono (re)loads and compacts:
+  // cached tool descriptors go stale with it.
+  const _DataManager_loadMapDataTool = DataManager.loadMapDataTool;
+  DataManager.loadMapDataTool = function() {
+    ChronoCompat.clearToolInfo();
+    _DataManager_loadMapDataTool.call(this);
+  };
+
+  const _Game_Map_dataMapToolClear = Game_Map.prototype.dataMapToolClear;
+  Game_Map.prototype.dataMapToolClear = function() {
+    _Game_Map_dataMapToolClear.call(this);
+    ChronoCompat.clearToolInfo();
+  };
+
+  // ------------------------------------------------------------
+  // Party Tactics scene
+  // ------------------------------------------------------------
+  const TACTICS_FIELDS = [
+    { key: "role", label: "Role", kind: "cycle", help: "Combat role (Left/Right to change)." },
+    { key: "stance", label: "Stance", kind: "cycle", help: "Aggressive engages, Defensive stays close, Hold keeps position, Assist hits the leader's target." },
+    { key: "aggro", label: "Aggro", kind: "number", help: "Tiles at which enemies are engaged (Left/Right to change)." },
+    { key: "leash", label: "Leash", kind: "number", help: "Max tiles away from the leader before regrouping." },
+    { key: "toolAttack", label: "Attack Tool", kind: "tool", help: "Skill used to attack." },
+    { key: "toolHeal", label: "Heal Tool", kind: "tool", help: "Skill used to heal allies." },
+    { key: "toolBuff", label: "Buff Tool", kind: "tool", help: "Skill used to buff allies." },
+    { key: "toolDefend", label: "Defend Tool", kind: "tool", help: "Skill used when enemies get close." },
+    { key: "toolFallback", label: "Fallback Tool", kind: "tool", help: "Attack used when the Attack Tool can't be paid." },
+    { key: "toolRevive", label: "Revive Tool", kind: "tool", help: "Skill used to raise fallen allies." },
+    { key: "gambits", label: "Gambits", kind: "gambits", help: "Ordered rules checked before the role behaviour." },
+  ];
+  const TACTICS_NUMBER_MAX = 30;
+
+  const GAMBIT_PRESET_CONDITIONS = [
+    "Ally HP < 30%", "Ally HP < 50%", "Ally HP < 70%", "Self HP < 30%", "Leader HP < 50%",
+    "Self MP < 20%", "Enemy Casting", "Enemy HP < 25%", "Enemy Type RANGED", "Enemy Type MELEE",
+    "Enemy Type CASTER", "Enemy Type HEALER", "Enemy Distance <= 2", "Enemy Count >= 3", "Always",
+  ];
+  const GAMBIT_PRESET_ACTIONS = [
+    "ToolAttack -> Enemy", "ToolHeal -> Ally", "ToolBuff -> Ally", "ToolDefend -> Enemy",
+    "Retreat -> Enemy", "Follow",
+  ];
+  const GAMBIT_REMOVE = "(Remove rule)";
+  const GAMBIT_ADD = "+ Add rule";
+  const TOOL_NONE = "(None)";
+
+  function tacticsActors() {
+    const leader = $gameParty.leader();
+    return $gameParty.members().filter(a => a !== leader && actorAiEnabled(a));
+  }
+
+  class Window_TacticsActors extends Window_Selectable {
+    initialize(x, y, width, height) {
+      super.initialize(x, y, width, height);
+      this.refresh();
+      this.select(0);
+    }
+
+    maxItems() { return this._data ? this._data.length : 0; }
+    actor() { return this._data ? this._data[this.index()] : null; }
+
+    refresh() {
+      this._data = tacticsActors();
+      this.createContents();
+      this.drawAllItems();
+    }
+
+    drawItem(index) {
+      const actor = this._data[index];
+      const rect = this.itemRectForText(index);
+      this.drawActorName(actor, rect.x, rect.y, rect.width);
+      this.changeTextColor(this.systemColor());
+      this.drawText(actorAiConfig(actor).role, rect.x, rect.y, rect.width, "right");
+      this.resetTextColor();
+    }
+  }
+
+  class Window_TacticsOptions extends Window_Command {
+    initialize(x, y, width, height) {
+      this._actor = null;
+      this._width = width;
+      this._height = height;
+      super.initialize(x, y);
+      this.deactivate();
+      this.select(-1);
+    }
+
+    windowWidth() { return this._width; }
+    windowHeight() { return this._height; }
+
+    setActor(actor) {
+      this._actor = actor;
+      this.refresh();
+    }
+
+    makeCommandList() {
+      for (const f of TACTICS_FIELDS) this.addCommand(f.label, f.key, !!this._actor);
+    }
+
+    field() { return TACTICS_FIELDS[this.index()] || null; }
+
+    valueText(f) {
+      if (!this._actor) return "";
+      const cfg = actorAiConfig(this._actor);
+      if (f.kind === "tool") {
+        const entry = ChronoCompat.absToolSkills(this._actor).find(e => e.toolId === cfg[f.key]);
+        if (entry) return entry.skill.name;
+        return cfg[f.key] > 0 ? `Tool ${cfg[f.key]}` : TOOL_NONE;
+      }
+      if (f.kind === "gambits") return `${cfg.gambits.length} rule(s)`;
+      return String(cfg[f.key]);
+    }
+
+    drawItem(index) {
+      const f = TACTICS_FIELDS[index];
+      const rect = this.itemRectForText(index);
+      const labelWidth = Math.floor(rect.width * 0.4);
+      this.resetTextColor();
+      this.changePaintOpacity(this.isCommandEnabled(index));
+      this.drawText(f.label, rect.x, rect.y, labelWidth, "left");
+      this.drawText(this.valueText(f), rect.x + labelWidth, rect.y, rect.width - labelWidth, "right");
+      this.changePaintOpacity(true);
+    }
+
+    updateHelp() {
+      const f = this.field();
+      this._helpWindow.setText(f ? f.help : "");
+    }
+
+    // Role/stance/aggro/leash change in place (like Window_Options); the rest opens a sub window.
+    changeValue(dir) {
+      const f = this.field();
+      if (!this._actor || !f) return false;
+      const cfg = actorAiConfig(this._actor);
+      let v;
+      if (f.kind === "cycle") {
+        const list = Object.keys(f.key === "role" ? Roles : Stances);
+        const i = list.indexOf(cfg[f.key]);
+        v = list[(i + dir + list.length) % list.length];
+      } else if (f.kind === "number") {
+        v = (cfg[f.key] + dir - 1 + TACTICS_NUMBER_MAX) % TACTICS_NUMBER_MAX + 1;
+      } else {
+        return false;
+      }
+      Overrides.set(this._actor.actorId(), f.key, v);
+      Manager.get().sync();
+      this.redrawItem(this.index());
+      SoundManager.playCursor();
+      return true;
+    }
+
+    cursorRight(wrap) {
+      if (!this.changeValue(1)) super.cursorRight(wrap);
+    }
+
+    cursorLeft(wrap) {
+      if (!this.changeValue(-1)) super.cursorLeft(wrap);
+    }
+
+    processOk() {
+      if (this.changeValue(1)) return;
+      super.processOk();
+    }
+  }
+
+  class Window_TacticsTools extends Window_Selectable {
+    initialize(x, y, width, height) {
+      super.initialize(x, y, width, height);
+      this._data = [];
+      this.hide();
+      this.deactivate();
+    }
+
+    setup(actor) {
+      this._data = [{ skill: null, toolId: 0 }].concat(ChronoCompat.absToolSkills(actor));
+      this.refresh();
+      this.select(0);
+    }
+
+    maxItems() { return this._data ? this._data.length : 0; }
+    toolId() { return this._data[this.index()] ? this._data[this.index()].toolId : 0; }
+
+    refresh() {
+      this.createContents();
+      this.drawAllItems();
+    }
+
+    drawItem(index) {
+      const entry = this._data[index];
+      const rect = this.itemRectForText(index);
+      if (entry.skill) this.drawItemName(entry.skill, rect.x, rect.y, rect.width);
+      else this.drawText(TOOL_NONE, rect.x, rect.y, rect.width);
+    }
+
+    updateHelp() {
+      const entry = this._data[this.index()];
+      this.setHelpWindowItem(entry ? entry.skill : null);
+    }
+  }
+
+  class Window_TacticsGambits extends Window_Selectable {
+    initialize(x, y, width, height) {
+      super.initialize(x, y, width, height);
+      this._rules = [];
+      this.hide();
+      this.deactivate();
+    }
+
+    setRules(rules) {
+      this._rules = rules.slice();
+      this.refresh();
+    }
+
+    rules() { return this._rules; }
+    maxItems() { return this._rules.length + 1; }
+    isAddSlot() { return this.index() >= this._rules.length; }
+
+    refresh() {
+      this.createContents();
+      this.drawAllItems();
+    }
+
+    drawItem(index) {
+      const rect = this.itemRectForText(index);
+      if (index < this._rules.length) {
+        this.drawText(`${index + 1}. ${this._rules[index]}`, rect.x, rect.y, rect.width);
+      } else {
+        this.changeTextColor(this.systemColor());
+        this.drawText(GAMBIT_ADD, rect.x, rect.y, rect.width);
+        this.resetTextColor();
+      }
+    }
+
+    updateHelp() {
+      this._helpWindow.setText("OK: edit rule   PageUp/PageDown: move rule");
+    }
+  }
+
+  class Window_TacticsPicker extends Window_Command {
+    initialize(x, y, width, height) {
+      this._entries = [];
+      this._width = width;
+      this._height = height;
+      super.initialize(x, y);
+      this.hide();
+      this.deactivate();
+    }
+
+    windowWidth() { return this._width; }
+    windowHeight() { return this._height; }
+
+    setEntries(entries) {
+      this._entries = entries;
+      this.refresh();
+      this.select(0);
+    }
+
+    makeCommandList() {
+      for (const e of this._entries || []) this.addCommand(e, "pick");
+    }
+
+    entry() { return this.currentName(); }
+  }
+
+  class Scene_PartyTactics extends Scene_MenuBase {
+    create() {
+      super.create();
+      this.createHelpWindow();
+      const y = this._helpWindow.height;
+      const h = Graphics.boxHeight - y;
+      const actorWidth = Math.floor(Graphics.boxWidth * 0.35);
+
+      this._actorWindow = new Window_TacticsActors(0, y, actorWidth, h);
+      this._actorWindow.setHandler("ok", this.onActorOk.bind(this));
+      this._actorWindow.setHandler("cancel", this.popScene.bind(this));
+      this.addWindow(this._actorWindow);
+
+      const subWidth = Graphics.boxWidth - actorWidth;
+      this._optionsWindow = new Window_TacticsOptions(actorWidth, y, subWidth, h);
+      this._optionsWindow.setHelpWindow(this._helpWindow);
+      this._optionsWindow.setHandler("toolAttack", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("toolHeal", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("toolBuff", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("toolDefend", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("toolFallback", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("toolRevive", this.onToolSlot.bind(this));
+      this._optionsWindow.setHandler("gambits", this.onGambits.bind(this));
+      this._optionsWindow.setHandler("cancel", this.onOptionsCancel.bind(this));
+      this.addWindow(this._optionsWindow);
+
+      this._toolsWindow = new Window_TacticsTools(actorWidth, y, subWidth, h);
+      this._toolsWindow.setHelpWindow(this._helpWindow);
+      this._toolsWindow.setHandler("ok", this.onToolOk.bind(this));
+      this._toolsWindow.setHandler("cancel", this.onToolCancel.bind(this));
+      this.addWindow(this._toolsWindow);
+
+      this._gambitWindow = new Window_TacticsGambits(actorWidth, y, subWidth, h);
+      this._gambitWindow.setHelpWindow(this._helpWindow);
+      this._gambitWindow.setHandler("ok", this.onGambitOk.bind(this));
+      this._gambitWindow.setHandler("cancel", this.onGambitCancel.bind(this));
+      this._gambitWindow.setHandler("pageup", this.onGambitMove.bind(this, -1));
+      this._gambitWindow.setHandler("pagedown", this.onGambitMove.bind(this, 1));
+      this.addWindow(this._gambitWindow);
+
+      const pickWidth = Math.floor(subWidth * 0.7);
+      this._pickerWindow = new Window_TacticsPicker(Graphics.boxWidth - pickWidth, y, pickWidth, h);
+      this._pickerWindow.setHandler("pick", this.onPickerOk.bind(this));
+      this._pickerWindow.setHandler("cancel", this.onPickerCancel.bind(this));
+      this.addWindow(this._pickerWindow);
+
+      this._actorWindow.activate();
+      this._optionsWindow.setActor(this._actorWindow.actor());
+      this._helpWindow.setText(this._actorWindow.maxItems() > 0 ? "" : "No AI-controlled party members.");
+    }
+
+    actor() { return this._actorWindow.actor(); }
+
+    // Persist one override and push it to the live controllers.
+    applyOverride(key, value) {
+      Overrides.set(this.actor().actorId(), key, value);
+      Manager.get().sync();
+    }
+
+    update() {
+      super.update();
+      if (this._actorWindow.active && this._optionsWindow._actor !== this.actor()) {
+        this._optionsWindow.setActor(this.actor());
+      }
+    }
+
+    onActorOk() {
+      this._optionsWindow.setActor(this.actor());
+      this._optionsWindow.activate();
+      this._optionsWindow.select(0);
+    }
+
+    onOptionsCancel() {
+      this._optionsWindow.deselect();
+      this._actorWindow.refresh();
+      this._actorWindow.activate();
+      this._helpWindow.clear();
+    }
+
+    onToolSlot() {
+      this._toolsWindow.setup(this.actor());
+      this._toolsWindow.show();
+      this._toolsWindow.activate();
+      this._optionsWindow.hide();
+    }
+
+    closeToolsWindow() {
+      this._toolsWindow.hide();
+      this._toolsWindow.deactivate();
+      this._optionsWindow.show();
+      this._optionsWindow.refresh();
+      this._optionsWindow.activate();
+    }
+
+    onToolOk() {
+      this.applyOverride(this._optionsWindow.currentSymbol(), this._toolsWindow.toolId());
+      this.closeToolsWindow();
+    }
+
+    onToolCancel() {
+      this.closeToolsWindow();
+    }
+
+    onGambits() {
+      this._gambitWindow.setRules(actorAiConfig(this.actor()).gambits.map(g => g.text));
+      this._gambitWindow.select(0);
+      this._gambitWindow.show();
+      this._gambitWindow.activate();
+      this._optionsWindow.hide();
+    }
+
+    onGambitCancel() {
+      this._gambitWindow.hide();
+      this._gambitWindow.deactivate();
+      this._optionsWindow.show();
+      this._optionsWindow.refresh();
+      this._optionsWindow.activate();
+    }
+
+    saveGambits(rules) {
+      this.applyOverride("gambits", rules);
+      this._gambitWindow.setRules(rules);
+    }
+
+    onGambitMove(dir) {
+      const i = this._gambitWindow.index();
+      const rules = this._gambitWindow.rules().slice();
+      const j = i + dir;
+      if (i < rules.length && j >= 0 && j < rules.length) {
+        [rules[i], rules[j]] = [rules[j], rules[i]];
+        this.saveGambits(rules);
+        this._gambitWindow.select(j);
+      }
+      this._gambitWindow.activate();
+    }
+
+    onGambitOk() {
+      this._pendingCondition = null;
+      const entries = this._gambitWindow.isAddSlot() ? GAMBIT_PRESET_CONDITIONS : [GAMBIT_REMOVE].concat(GAMBIT_PRESET_CONDITIONS);
+      this._pickerWindow.setEntries(entries);
+      this._pickerWindow.show();
+      this._pickerWindow.activate();
+    }
+
+    closePicker() {
+      this._pickerWindow.hide();
+      this._pickerWindow.deactivate();
+      this._gambitWindow.activate();
+    }
+
+    onPickerCancel() {
+      this.closePicker();
+    }
+
+    onPickerOk() {
+      const picked = this._pickerWindow.entry();
+      const i = this._gambitWindow.index();
+      const rules = this._gambitWindow.rules().slice();
+
+      if (picked === GAMBIT_REMOVE) {
+        rules.splice(i, 1);
+        this.saveGambits(rules);
+        this.closePicker();
+        return;
+      }
+      if (!this._pendingCondition) {
+        this._pendingCondition = picked;
+        this._pickerWindow.setEntries(GAMBIT_PRESET_ACTIONS);
+        this._pickerWindow.activate();
+        return;
+      }
+
+      rules[i] = `${this._pendingCondition} -> ${picked}`;
+      this._pendingCondition = null;
+      this.saveGambits(rules);
+      this.closePicker();
+    }
+  }
+
+  ROA.ChronoPartyAI.Scene_PartyTactics = Scene_PartyTactics;
+
+  const _Window_MenuCommand_addOriginalCommands = Window_MenuCommand.prototype.addOriginalCommands;
+  Window_MenuCommand.prototype.addOriginalCommands = function() {
+    _Window_MenuCommand_addOriginalCommands.call(this);
+    if (CFG.enabled && CFG.tacticsCommandName) {
+      this.addCommand(CFG.tacticsCommandName, "chronoAiTactics", tacticsActors().length > 0);
+    }
+  };
+
+  const _Scene_Menu_createCommandWindow = Scene_Menu.prototype.createCommandWindow;
+  Scene_Menu.prototype.createCommandWindow = function() {
+    _Scene_Menu_createCommandWindow.call(this);
+    this._commandWindow.setHandler("chronoAiTactics", () => SceneManager.push(Scene_PartyTactics));
+  };
+
+  if (CFG.tacticsMapKeyCode > 0) {
+    Input.keyMapper[CFG.tacticsMapKeyCode] = "chronoAiTactics";
   }
 
+  const _Scene_Map_updateScene = Scene_Map.prototype.updateScene;
+  Scene_Map.prototype.updateScene = function() {
+    _Scene_Map_updateScene.call(this);
+    if (SceneManager.isSceneChanging() || !CFG.enabled || CFG.tacticsMapKeyCode <= 0) return;
+    if (Input.isTriggered("chronoAiTactics") && !$gameMap.isEventRunning() && $gamePlayer.canMove()) {
+      SoundManager.playOk();
+      SceneManager.snapForBackground();
+      SceneManager.push(Scene_PartyTactics);
+    }
+  };
+
+  // ------------------------------------------------------------
+  // Plugin commands
+  // ------------------------------------------------------------
+  const _Game_Interpreter_pluginCommand = Game_Interpreter.prototype.pluginCommand;
+  Game_Interpreter.prototype.pluginCommand = function(command, args) {
+    _Game_Interpreter_pluginCommand.call(this, command, args);
+    // Chrono style: "chrono_ai_role : 3 : HEALER" -> args = [":", "3", ":", "HEALER"]
+    const target = args[1];
+    if (command === "chrono_ai_role") {
+      Overrides.set(target, "role", args[3]);
+    } else if (command === "chrono_ai_stance") {
+      Overrides.set(target, "stance", args[3]);
+    } else if (command === "chrono_ai_enable") {
+      Overrides.set(target, "enabled", args[3]);
+    } else if (command === "chrono_ai_tool") {
+      Overrides.setTool(target, args[3], args[5]);
+    } else if (command === "chrono_ai_gambit_add") {
+      Overrides.addGambit(target, args.slice(3).join(" "));
+    } else if (command === "chrono_ai_gambit_clear") {
+      Overrides.set(target, "gambits", []);
+    } else if (command === "chrono_ai_reset") {
+      Overrides.reset(target);
+    } else if (command === "chrono_ai_item_budget") {
+      ItemBudget.set(target, args[3], args[5]);
+    } else if (command === "chrono_ai_formation") {
+      Formations.set(target);
+    }
+  };
+
+  // ------------------------------------------------------------
+  // Save data (old saves simply lack the field; Overrides.store() creates it)
+  // ------------------------------------------------------------
+  const _Game_System_initialize = Game_System.prototype.initialize;
+  Game_System.prototype.initialize = function() {
+    _Game_System_initialize.call(this);
+    this._chronoPartyAi = { all: {}, actors: {} };
+    this._chronoPartyAiItems = ItemBudget.initialData();
+    this._chronoPartyAiFormation = CFG.defaultFormation;
+  };
+
+  // ------------------------------------------------------------
+  // Chrono hooks: threat / leader target feed + enemy targeting
+  // ------------------------------------------------------------
+  const _ToolEvent_executeDamage = ToolEvent.prototype.executeDamage;
+  ToolEvent.prototype.executeDamage = function(target) {
+    if (this._roaSupport && target === this._roaSupport.target) {
+      // AI support tool on its chosen ally: apply the resolved effect once, never again on re-hits.
+      if (!ChronoCompat.applyToolSupport(this)) return;
+    } else {
+      _ToolEvent_executeDamage.call(this, target);
+    }
+    if (!CFG.enabled) return;
+    Threat.onToolDamage(this.user(), target, this.item());
+    if (this.user() === $gamePlayer && target.isEnemy()) {
+      Manager.get().bb.noteLeaderTarget(ChronoCompat.characterForBattler(target));
+    }
+  };
+
+  // A support tool that never touched its ally (out of area, no collision) still lands at the end.
+  const _ToolEvent_updateToolDuration = ToolEvent.prototype.updateToolDuration;
+  ToolEvent.prototype.updateToolDuration = function() {
+    _ToolEvent_updateToolDuration.call(this);
+    const s = this._roaSupport;
+    if (!s || s.applied || this._tool.duration > 0) return;
+    if (ChronoCompat.applyToolSupport(this)) {
+      const targetChar = ChronoCompat.characterForBattler(s.target);
+      if (targetChar && s.item.animationId > 0) targetChar.requestAnimation(s.item.animationId);
+      Threat.onToolDamage(this.user(), s.target, s.item);
+    }
+  };
+
+  // Line of sight for event move routes: this.chronoAiCanSee() / this.chronoAiCanSee(character)
+  Game_Character.prototype.chronoAiCanSee = function(character) {
+    return ChronoCompat.hasLineOfSight(this, character || $gamePlayer);
+  };
+
+  // Party member an enemy event should go after instead of the leader (null = leader).
+  Game_Event.prototype.chronoAiThreatTarget = function() {
+    if (!CFG.enabled || !CFG.enemyThreatTargeting) return null;
+    if (!$gameSystem.isAbsMode() || !(this._roaEnemyId > 0)) return null;
+    const t = Threat.topTarget(this);
+    return t && t !== $gamePlayer ? t : null;
+  };
+
+  const _Game_Event_isNearThePlayer = Game_Event.prototype.isNearThePlayer;
+  Game_Event.prototype.isNearThePlayer = function() {
+    const t = this.chronoAiThreatTarget();
+    if (!t) return _Game_Event_isNearThePlayer.call(this);
+    return Math.abs(this.deltaXFrom(t.x)) + Math.abs(this.deltaYFrom(t.y)) < 20;
+  };
+
+  const _Game_Event_moveTowardPlayer = Game_Event.prototype.moveTowardPlayer;
+  Game_Event.prototype.moveTowardPlayer = function() {
+    const t = this.chronoAiThreatTarget();
+    if (t) this.moveTowardCharacter(t);
+    else _Game_Event_moveTowardPlayer.call(this);
+  };
+
+  const _Game_Event_turnTowardPlayer = Game_Event.prototype.turnTowardPlayer;
+  Game_Event.prototype.turnTowardPlayer = function() {
+    const t = this.chronoAiThreatTarget();
+    if (t) this.turnTowardCharacter(t);
+    else _Game_Event_turnTowardPlayer.call(this);
+  };
+
 })();